@@ -1,38 +1,219 @@
 const express = require("express");
 const multer = require("multer");
 const path = require("path");
-const fs = require("fs").promises;
+const crypto = require("crypto");
 const fsSync = require("fs");
 const { v4: uuidv4 } = require("uuid");
+const {
+  hasTransformParams,
+  parseTransformOptions,
+  getTransformedImage,
+  removeCachedImages,
+} = require("./lib/transform");
+const auth = require("./lib/auth");
+const { createStorage, readToBuffer } = require("./lib/storage");
+const { openDatabase } = require("./lib/db");
+const {
+  createImageRepository,
+  parseListQuery,
+  parseSearchQuery,
+  normalizeTags,
+  normalizeDescription,
+  normalizeVisibility,
+  normalizeExpiresAt,
+} = require("./lib/images");
+const { createAlbumRepository } = require("./lib/albums");
+const { importMetaFile } = require("./lib/importMeta");
+const { prepareUpload } = require("./lib/uploadPipeline");
+const { createUploadSessions } = require("./lib/resumableUploads");
+const { fetchRemoteImage, parseDataUri } = require("./lib/remoteImport");
+const { loadSigningSecret, createUrlSigner } = require("./lib/signedUrls");
+const { createRateLimitStore, createRateLimiter } = require("./lib/rateLimit");
+const {
+  parseVariantConfig,
+  createVariants,
+  findVariant,
+  buildSnippets,
+} = require("./lib/variants");
+const { createCdnPurger } = require("./lib/cdnPurge");
+const { createUrlBuilder } = require("./lib/urls");
+const {
+  parseBulkRequest,
+  createBulkOperations,
+} = require("./lib/bulkOperations");
+const { parseConflictMode, createBackupService } = require("./lib/backup");
+const { createIntegrityChecker } = require("./lib/integrity");
+const {
+  computePerceptualHash,
+  parseSimilarQuery,
+  findSimilar,
+  clusterSimilar,
+} = require("./lib/perceptualHash");
+const {
+  DELIVERY_STATUSES,
+  createWebhookRepository,
+  createWebhookDispatcher,
+} = require("./lib/webhooks");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// 確保 uploads 目錄存在
+// 本機儲存時使用 uploads 目錄
 const uploadsDir = path.join(__dirname, "uploads");
+const cacheDir = path.join(__dirname, "cache");
 const metaFile = path.join(__dirname, "images_meta.json");
+const dbFile =
+  process.env.DATABASE_FILE || path.join(__dirname, "data", "images.db");
 
-if (!fsSync.existsSync(uploadsDir)) {
-  fsSync.mkdirSync(uploadsDir, { recursive: true });
+// 圖片儲存後端（STORAGE_DRIVER=local 或 s3）
+const storage = createStorage({ localDir: uploadsDir });
+
+// 轉換後圖片的快取目錄
+if (!fsSync.existsSync(cacheDir)) {
+  fsSync.mkdirSync(cacheDir, { recursive: true });
+}
+
+// 圖片 metadata 資料庫
+const db = openDatabase(dbFile);
+const imageRepo = createImageRepository(db);
+const albumRepo = createAlbumRepository(db);
+const bulkOperations = createBulkOperations(db, { imageRepo, albumRepo });
+const backups = createBackupService(db, { imageRepo, albumRepo, storage });
+const integrity = createIntegrityChecker({ imageRepo, storage });
+
+// Webhook 訂閱，圖片和相簿有變動時通知外部服務
+const webhookRepo = createWebhookRepository(db);
+const webhooks = createWebhookDispatcher(webhookRepo);
+
+// 圖片事件的 data 是 { images, ...extra }，圖片很多時每 100 張分成一個事件
+const WEBHOOK_IMAGE_CHUNK = 100;
+
+// 事件不一定來自請求，圖片網址以 PUBLIC_BASE_URL 組成，沒有設定時是相對路徑
+function emitImageEvent(event, images, extra = {}) {
+  for (let i = 0; i < images.length; i += WEBHOOK_IMAGE_CHUNK) {
+    webhooks.emit(event, {
+      images: images
+        .slice(i, i + WEBHOOK_IMAGE_CHUNK)
+        .map((image) => imageUrls.withUrl(image)),
+      ...extra,
+    });
+  }
 }
 
-// 初始化 metadata 檔案
-if (!fsSync.existsSync(metaFile)) {
-  fsSync.writeFileSync(metaFile, JSON.stringify([], null, 2));
+// 重試到期的送出，並刪除 30 天前已經送完的紀錄
+const WEBHOOK_DELIVERY_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+webhooks.processDue();
+setInterval(webhooks.processDue, 15 * 1000).unref();
+setInterval(
+  () => {
+    try {
+      webhookRepo.removeDeliveriesBefore(
+        new Date(Date.now() - WEBHOOK_DELIVERY_RETENTION).toISOString()
+      );
+    } catch (error) {
+      console.error("清除 webhook 送出紀錄失敗:", error);
+    }
+  },
+  60 * 60 * 1000
+).unref();
+
+// 舊版的 images_meta.json 會在第一次啟動時自動匯入
+const metaImport = importMetaFile(imageRepo, metaFile);
+if (metaImport) {
+  console.log(
+    `已從 images_meta.json 匯入 ${metaImport.imported} 筆圖片資料（略過 ${metaImport.skipped} 筆）`
+  );
 }
 
-// 讀取和寫入 metadata 的函數
-async function readMeta() {
+// 功能加入前上傳的圖片在背景補上感知雜湊，一次處理一張避免佔用太多記憶體
+// 檔案讀取或解碼失敗的圖片略過，下次啟動時再試
+function backfillPerceptualHashes() {
+  let pending;
   try {
-    const data = await fs.readFile(metaFile, "utf8");
-    return JSON.parse(data);
+    pending = imageRepo.listMissingPerceptualHashes();
   } catch (error) {
-    return [];
+    console.error("讀取圖片資料失敗:", error);
+    return;
   }
+  if (pending.length === 0) return;
+
+  let updated = 0;
+  let failed = 0;
+  pending
+    .reduce(
+      (chain, image) =>
+        chain.then(() =>
+          readToBuffer(storage, image.storageKey)
+            .then((buffer) => computePerceptualHash(buffer))
+            .then((hash) => {
+              if (
+                imageRepo.setPerceptualHash(image.id, image.storageKey, hash)
+              ) {
+                updated++;
+              }
+            })
+            .catch(() => {
+              failed++;
+            })
+        ),
+      Promise.resolve()
+    )
+    .then(() => {
+      console.log(
+        `已補上 ${updated} 張圖片的感知雜湊${failed > 0 ? `（${failed} 張失敗）` : ""}`
+      );
+    });
+}
+
+backfillPerceptualHashes();
+
+// 載入 API keys
+auth.loadKeys(process.env.API_KEYS_FILE || path.join(__dirname, "api_keys.json"));
+
+// 私人圖片的簽署網址，密鑰沒有用 URL_SIGNING_SECRET 設定時存在資料庫旁邊
+const urlSigner = createUrlSigner(
+  loadSigningSecret(path.join(path.dirname(dbFile), "url-signing.key"))
+);
+
+// 簽署網址的有效時間（秒），預設 1 小時，最長 7 天
+const DEFAULT_SIGNED_URL_TTL = 60 * 60;
+const MAX_SIGNED_URL_TTL = 7 * 24 * 60 * 60;
+
+// 圖片網址在回傳時以 PUBLIC_BASE_URL、CDN_BASE_URL 或請求的網址組成
+const imageUrls = createUrlBuilder({
+  publicBaseUrl: process.env.PUBLIC_BASE_URL,
+  cdnBaseUrl: process.env.CDN_BASE_URL,
+});
+
+// 加上圖片和響應式版本的網址
+function withUrls(req, images) {
+  const baseUrl = getBaseUrl(req);
+  return images.map((image) => imageUrls.withUrl(image, baseUrl));
+}
+
+function withUrl(req, image) {
+  return imageUrls.withUrl(image, getBaseUrl(req));
+}
+
+// 公開圖片會被 CDN 永久快取，不再公開時以 CDN_PURGE_URL 通知 CDN 清除
+// 清除時要知道 CDN 上的網址，不能依賴請求的網址
+if (
+  process.env.CDN_PURGE_URL &&
+  !imageUrls.cdnBaseUrl &&
+  !imageUrls.publicBaseUrl
+) {
+  throw new Error("設定 CDN_PURGE_URL 時也要設定 CDN_BASE_URL 或 PUBLIC_BASE_URL");
 }
+const cdnPurger = createCdnPurger({
+  url: process.env.CDN_PURGE_URL,
+  token: process.env.CDN_PURGE_TOKEN,
+});
 
-async function writeMeta(data) {
-  await fs.writeFile(metaFile, JSON.stringify(data, null, 2));
+// 清除圖片（原圖和響應式版本）的 CDN 快取
+function purgeCdnCache(images) {
+  const urls = images.flatMap((image) => imageUrls.cachedUrls(image));
+  cdnPurger.purge(Array.from(new Set(urls)));
 }
 
 // 生成正確的 HTTPS 網址
@@ -54,61 +235,611 @@ function getBaseUrl(req) {
   return `${protocol}://${req.get("host")}`;
 }
 
-// 設定 multer 儲存配置
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueId = uuidv4();
-    const ext = path.extname(file.originalname);
-    cb(null, uniqueId + ext);
-  },
-});
+// 輸出到 HTML 的文字需要跳脫
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+}
+
+// 設定 multer 儲存配置：先放在記憶體，再交給儲存後端
+const uploadStorage = multer.memoryStorage();
+
+// 允許上傳的 mimetype（實際格式會再以檔案內容檢查）
+const ALLOWED_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
 
 // 檔案過濾器
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-  ];
-  if (allowedTypes.includes(file.mimetype)) {
+  if (ALLOWED_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error("只允許上傳圖片檔案"), false);
+    const error = new Error("只允許上傳圖片檔案");
+    error.status = 400;
+    cb(error, false);
+  }
+};
+
+// 設定 REENCODE_UPLOADS=true 時，上傳的圖片會重新編碼以移除夾帶的非圖片內容
+const reencodeUploads = process.env.REENCODE_UPLOADS === "true";
+
+// 上傳時產生的響應式版本（寬度和格式），可用 IMAGE_VARIANT_WIDTHS、IMAGE_VARIANT_FORMATS 設定
+const variantConfig = parseVariantConfig(process.env);
+
+// 單一檔案大小上限（bytes），可用 MAX_UPLOAD_SIZE 設定，預設 10MB
+const maxUploadSize =
+  parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 10 * 1024 * 1024;
+
+function formatSize(bytes) {
+  const megabytes = bytes / 1024 / 1024;
+  return megabytes >= 1
+    ? `${Number(megabytes.toFixed(1))}MB`
+    : `${Math.ceil(bytes / 1024)}KB`;
+}
+
+// 每個上傳者（API key）的配額，預設值用 QUOTA_MAX_BYTES、QUOTA_MAX_IMAGES 設定，沒有設定代表不限制
+// 個別 key 可以用 PUT /api/keys/:id/quota 覆寫，admin 不受配額限制
+function parseQuotaEnv(name) {
+  if (!process.env[name]) return null;
+  const value = Number(process.env[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} 必須是大於等於 0 的整數`);
   }
+  return value;
+}
+
+const defaultQuota = {
+  maxBytes: parseQuotaEnv("QUOTA_MAX_BYTES"),
+  maxImages: parseQuotaEnv("QUOTA_MAX_IMAGES"),
 };
 
+function getQuota(apiKey) {
+  if (auth.hasScope(apiKey, "admin")) {
+    return { maxBytes: null, maxImages: null };
+  }
+  return { ...defaultQuota, ...apiKey.quota };
+}
+
+// 檢查再新增 images 張、共 bytes 的圖片是否會超過配額，超過時丟出 status 為 413 的錯誤
+function checkQuota(apiKey, images, bytes) {
+  const quota = getQuota(apiKey);
+  if (quota.maxImages === null && quota.maxBytes === null) return;
+
+  const usage = imageRepo.usage(apiKey.id);
+  let message = null;
+  if (quota.maxImages !== null && usage.images + images > quota.maxImages) {
+    message = `超過圖片數量配額：已有 ${usage.images} 張，上限 ${quota.maxImages} 張`;
+  } else if (quota.maxBytes !== null && usage.bytes + bytes > quota.maxBytes) {
+    message = `超過儲存空間配額：已使用 ${formatSize(usage.bytes)}，上限 ${formatSize(quota.maxBytes)}`;
+  }
+  if (message) {
+    const error = new Error(message);
+    error.status = 413;
+    throw error;
+  }
+}
+
 const upload = multer({
-  storage: storage,
+  storage: uploadStorage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB 限制
+    fileSize: maxUploadSize,
   },
   fileFilter: fileFilter,
 });
 
-// 啟用 CORS
+// 分段上傳：建議的區塊大小和單一區塊的上限
+const CHUNK_SIZE = 2 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+
+// 區塊暫存在資料庫旁邊的 upload-parts 目錄，服務重啟後仍然可以續傳
+const uploadSessions = createUploadSessions({
+  dir: path.join(path.dirname(dbFile), "upload-parts"),
+  maxSize: maxUploadSize,
+});
+
+// 定期清掉超過 24 小時沒有進度的上傳
+setInterval(() => {
+  uploadSessions
+    .removeExpired()
+    .then((count) => {
+      if (count > 0) console.log(`已清除 ${count} 個過期的上傳工作`);
+    })
+    .catch((error) => {
+      console.error("清除過期的上傳工作失敗:", error);
+    });
+}, 60 * 60 * 1000).unref();
+
+// 限流：上傳次數、上傳的 bytes 和刪除等破壞性操作分開計算，以 API key（未驗證時以 IP）區分
+// 計數器預設在記憶體中，RATE_LIMIT_STORE=redis 時改用 REDIS_URL 的 Redis
+function parseLimitEnv(name, defaultValue) {
+  if (!process.env[name]) return defaultValue;
+  const value = Number(process.env[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} 必須是大於等於 0 的整數`);
+  }
+  return value;
+}
+
+const rateLimitStore = createRateLimitStore();
+
+// 限流在驗證之前執行，沒有有效 API key 的請求也會以 IP 計算
+function rateLimitKey(req) {
+  const apiKey = auth.authenticate(req);
+  return apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`;
+}
+const rateLimitWindow = parseLimitEnv("RATE_LIMIT_WINDOW", 15 * 60) * 1000;
+
+// 請求要計入的 bytes：以 Content-Length 為準，沒有時（chunked 傳輸）以路由允許的上限計算
+function requestBytes(maxBytes) {
+  return (req) => {
+    const length = Number(req.headers["content-length"]);
+    return Number.isInteger(length) && length >= 0
+      ? Math.min(length, maxBytes)
+      : maxBytes;
+  };
+}
+
+const uploadCountRule = {
+  name: "uploads",
+  limit: parseLimitEnv("RATE_LIMIT_UPLOADS", 100),
+  windowMs: rateLimitWindow,
+  message: "上傳次數太多",
+};
+
+function uploadBytesRule(maxBytes) {
+  return {
+    name: "upload-bytes",
+    limit: parseLimitEnv("RATE_LIMIT_UPLOAD_BYTES", 500 * 1024 * 1024),
+    windowMs: rateLimitWindow,
+    cost: requestBytes(maxBytes),
+    message: "上傳的資料量太大",
+  };
+}
+
+const limitUploads = createRateLimiter(
+  rateLimitStore,
+  [uploadCountRule, uploadBytesRule(maxUploadSize * 10)],
+  rateLimitKey
+);
+const limitUploadSessions = createRateLimiter(
+  rateLimitStore,
+  [uploadCountRule],
+  rateLimitKey
+);
+const limitChunks = createRateLimiter(
+  rateLimitStore,
+  [uploadBytesRule(MAX_CHUNK_SIZE)],
+  rateLimitKey
+);
+const limitDestructive = createRateLimiter(
+  rateLimitStore,
+  [
+    {
+      name: "destructive",
+      limit: parseLimitEnv("RATE_LIMIT_DESTRUCTIVE", 200),
+      windowMs: rateLimitWindow,
+      message: "刪除操作太頻繁",
+    },
+  ],
+  rateLimitKey
+);
+
+// 啟用 CORS（只允許 CORS_ORIGINS 設定的來源，以逗號分隔，"*" 代表全部）
+const corsOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
 app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS, DELETE");
+  const origin = req.headers.origin;
+  if (corsOrigins.includes("*")) {
+    res.header("Access-Control-Allow-Origin", "*");
+  } else if (origin && corsOrigins.includes(origin)) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Vary", "Origin");
+  }
+  res.header(
+    "Access-Control-Allow-Methods",
+    "GET, POST, PUT, PATCH, OPTIONS, DELETE"
+  );
   res.header(
     "Access-Control-Allow-Headers",
-    "Origin, X-Requested-With, Content-Type, Accept"
+    "Origin, X-Requested-With, Content-Type, Accept, Authorization, Upload-Offset"
+  );
+  res.header(
+    "Access-Control-Expose-Headers",
+    "Upload-Offset, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy"
   );
+  if (req.method === "OPTIONS") {
+    return res.sendStatus(204);
+  }
+  next();
+});
+
+// 解析 JSON 和表單內容
+// 匯入 API 的 data URI 可能很大，改在驗證 API key 之後用較大的上限解析
+// 還原備份的請求內容是封存檔，由路由自己讀取
+const parseJson = express.json();
+const parseForm = express.urlencoded({ extended: false });
+app.use((req, res, next) => {
+  if (req.path === "/api/images/import" || req.path === "/api/backup/import") {
+    return next();
+  }
+  parseJson(req, res, next);
+});
+app.use((req, res, next) => {
+  if (req.path === "/api/backup/import") return next();
+  parseForm(req, res, next);
+});
+
+// 信任代理服務器（重要：用於正確獲取 protocol 和限流用的 req.ip）
+// TRUST_PROXY 是前面有幾層代理（預設 1，例如 Zeabur 的負載平衡器），也可以是代理的 IP / 網段清單
+// 不能設成 true：那樣會直接採用 X-Forwarded-For 最前面、客戶端可以任意偽造的位址
+function parseTrustProxy(value) {
+  if (value === undefined || value === "") return 1;
+  if (value === "false") return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === "true") {
+    throw new Error("TRUST_PROXY 請設定代理的層數或 IP，不能是 true");
+  }
+  return value.split(",").map((item) => item.trim());
+}
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
+// 依公開檔名找出圖片記錄，供下面的轉換和檔案服務使用
+app.get("/images/:filename", (req, res, next) => {
+  let image;
+  try {
+    image = imageRepo.findByFilename(req.params.filename, true);
+  } catch (error) {
+    console.error("讀取圖片資料失敗:", error);
+    return res.status(500).json({ error: "讀取圖片資料失敗" });
+  }
+
+  // 已到期、還沒被定期清除的圖片視為不存在
+  if (image && image.expiresAt && Date.parse(image.expiresAt) <= Date.now()) {
+    image = null;
+  }
+
+  if (image && (image.deletedAt || image.visibility === "private")) {
+    const apiKey = auth.authenticate(req);
+    const canRead = Boolean(apiKey) && auth.hasScope(apiKey, "read");
+
+    if (image.deletedAt) {
+      // 垃圾桶中的圖片不再公開，只提供給有 read 權限的使用者在管理頁面預覽
+      if (!canRead) image = null;
+    } else if (!canRead) {
+      // 私人圖片需要有效的簽署網址，沒有帶簽章時不透露圖片是否存在
+      const result = urlSigner.verify(image.filename, req.query);
+      if (result === "expired") {
+        return res.status(403).json({ error: "網址已過期" });
+      }
+      if (result === "invalid") {
+        return res.status(403).json({ error: "網址簽章無效" });
+      }
+      if (result !== "valid") image = null;
+    }
+
+    if (image) {
+      res.set("Cache-Control", "private, no-store");
+    }
+  }
+
+  if (!image) {
+    return res.status(404).json({ error: "圖片不存在" });
+  }
+  req.image = image;
   next();
 });
 
-// 信任代理服務器（重要：用於正確獲取 protocol）
-app.set("trust proxy", true);
+// 公開圖片的內容可以被取代（網址不變），瀏覽器快取 IMAGE_CACHE_MAX_AGE 秒（預設一天）後以 ETag 重新驗證
+// CDN 快取一年，取代、刪除或改成私人時以 CDN_PURGE_URL 清除
+// 有到期時間的圖片只快取到到期為止；私人和垃圾桶中的圖片在前面已經設為 private, no-store
+const browserMaxAge = parseLimitEnv("IMAGE_CACHE_MAX_AGE", 24 * 60 * 60);
+const CDN_MAX_AGE = 365 * 24 * 60 * 60;
+
+// 設定 Cache-Control、ETag（以內容的 hash 計算的 strong ETag）和 Last-Modified
+// 原圖、響應式版本和即時轉換的圖片都使用相同的規則
+function setCacheHeaders(res, image, etag) {
+  if (!res.get("Cache-Control")) {
+    let maxAge = browserMaxAge;
+    let sharedMaxAge = CDN_MAX_AGE;
+    if (image.expiresAt) {
+      const remaining = Math.max(
+        0,
+        Math.floor((Date.parse(image.expiresAt) - Date.now()) / 1000)
+      );
+      maxAge = Math.min(remaining, maxAge);
+      sharedMaxAge = Math.min(remaining, sharedMaxAge);
+    }
+    res.set(
+      "Cache-Control",
+      `public, max-age=${maxAge}, s-maxage=${sharedMaxAge}`
+    );
+  }
+  // 去重複功能之前上傳的圖片沒有 hash，只提供 Last-Modified
+  if (image.hash) {
+    res.set("ETag", `"${etag}"`);
+  }
+  res.set(
+    "Last-Modified",
+    new Date(image.replacedTime || image.uploadTime).toUTCString()
+  );
+}
+
+// If-Range 和目前的 ETag 或 Last-Modified 不符時（檔案已經改變），忽略 Range 回應整個檔案
+function isRangeFresh(req, res) {
+  const ifRange = req.get("If-Range");
+  if (!ifRange) return true;
+  if (ifRange.includes('"')) {
+    return ifRange === res.get("ETag");
+  }
+  const lastModified = Date.parse(res.get("Last-Modified"));
+  return lastModified <= Date.parse(ifRange);
+}
+
+// 從儲存後端讀取檔案並回應，支援條件式請求（304）和單一範圍的 Range（206）
+// size 是記錄中的檔案大小，用來解析 Range
+function sendStoredFile(req, res, { storageKey, mimetype, size }) {
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.set("Accept-Ranges", "bytes");
+  let range;
+  if (req.headers.range && size > 0 && isRangeFresh(req, res)) {
+    const ranges = req.range(size, { combine: true });
+    if (ranges === -1) {
+      res.set("Content-Range", `bytes */${size}`);
+      return res.status(416).end();
+    }
+    // 格式錯誤或要求多個範圍時回應整個檔案
+    if (Array.isArray(ranges) && ranges.length === 1) {
+      range = ranges[0];
+    }
+  }
+
+  storage
+    .getStream(storageKey, range && { start: range.start, end: range.end })
+    .then(({ stream, size: storedSize }) => {
+      // 以記錄中的 mimetype 回應，並禁止瀏覽器自行猜測內容類型
+      res.type(mimetype);
+      res.set("X-Content-Type-Options", "nosniff");
+      if (range) {
+        res.status(206);
+        res.set(
+          "Content-Range",
+          `bytes ${range.start}-${range.end}/${storedSize}`
+        );
+        res.set("Content-Length", String(range.end - range.start + 1));
+      } else if (storedSize !== undefined) {
+        res.set("Content-Length", String(storedSize));
+      }
+
+      if (req.method === "HEAD") {
+        stream.destroy();
+        return res.end();
+      }
+      stream.on("error", (error) => {
+        console.error("讀取圖片失敗:", error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    })
+    .catch((error) => {
+      if (error.code === "ENOENT") {
+        return res.status(404).json({ error: "圖片檔案不存在" });
+      }
+      console.error("讀取圖片失敗:", error);
+      res.status(500).json({ error: "讀取圖片失敗" });
+    });
+}
+
+// 圖片轉換：/images/:filename?w=300&h=200&fit=cover&format=webp&q=80
+// 只有 w 和 format 且符合上傳時產生的響應式版本時，直接回應該版本的檔案
+app.get("/images/:filename", (req, res, next) => {
+  if (!hasTransformParams(req.query)) {
+    return next();
+  }
+
+  const image = req.image;
+  const variant = findVariant(image, req.query);
+  if (variant) {
+    setCacheHeaders(
+      res,
+      image,
+      `${image.hash}-${variant.width}w.${variant.format}`
+    );
+    return sendStoredFile(req, res, variant);
+  }
+
+  let options;
+  try {
+    options = parseTransformOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const loadSource = () => readToBuffer(storage, image.storageKey);
+  getTransformedImage(image, loadSource, cacheDir, options)
+    .then((result) => {
+      setCacheHeaders(res, image, `${image.hash}-${result.optionsKey}`);
+      res.type(result.mimetype);
+      res.set("X-Content-Type-Options", "nosniff");
+      // 條件式請求和 Range 由 sendFile 依上面設定的 header 處理
+      res.sendFile(result.path, {
+        etag: false,
+        lastModified: false,
+        cacheControl: false,
+      });
+    })
+    .catch((error) => {
+      if (error.code === "ENOENT") {
+        return res.status(404).json({ error: "圖片檔案不存在" });
+      }
+      console.error("圖片轉換失敗:", error);
+      res.status(500).json({ error: "圖片轉換失敗" });
+    });
+});
+
+// 圖片檔案服務（從儲存後端讀取）
+app.get("/images/:filename", (req, res) => {
+  setCacheHeaders(res, req.image, req.image.hash);
+  sendStoredFile(req, res, req.image);
+});
+
+// 登入後導向的頁面，只允許站內路徑：/ 開頭、第二個字元不是 / 或 \（瀏覽器會當成其他網域），
+// 並且只能包含網址中一般的字元，不能有引號、角括號或空白
+const SAFE_REDIRECT_PATTERN = /^\/(?![/\\])[\w\-.~%/?#&=+,:@]*$/;
+
+function getSafeRedirect(next) {
+  if (typeof next === "string" && SAFE_REDIRECT_PATTERN.test(next)) {
+    return next;
+  }
+  return "/";
+}
+
+// 把值放進 <script> 中的 JavaScript 字串，跳脫 < 避免提早結束 script 標籤
+function toScriptString(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+// 登入頁面
+app.get("/login", (req, res) => {
+  const next = getSafeRedirect(req.query.next);
+  res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <title>登入 - 圖片託管服務</title>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <style>
+              * { box-sizing: border-box; }
+              body { 
+                  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+                  max-width: 480px; 
+                  margin: 0 auto; 
+                  padding: 20px; 
+                  background: #f5f5f5;
+              }
+              .content { 
+                  background: white; 
+                  padding: 20px; 
+                  margin-top: 60px;
+                  border-radius: 8px; 
+                  box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+              }
+              .key-input { 
+                  width: 100%; 
+                  padding: 8px; 
+                  margin: 10px 0; 
+                  border: 1px solid #ddd; 
+                  border-radius: 4px; 
+              }
+              button { 
+                  background: #007bff; 
+                  color: white; 
+                  padding: 10px 20px; 
+                  border: none; 
+                  border-radius: 4px; 
+                  cursor: pointer; 
+                  width: 100%;
+              }
+              button:hover { background: #0056b3; }
+              .error { color: #dc3545; }
+          </style>
+      </head>
+      <body>
+          <div class="content">
+              <h1>🔑 登入</h1>
+              <p>請輸入你的 API key</p>
+              <form id="loginForm">
+                  <input type="password" id="apiKey" class="key-input" placeholder="ih_..." autocomplete="off" required>
+                  <button type="submit">登入</button>
+              </form>
+              <p class="error" id="error"></p>
+          </div>
+
+          <script>
+              document.getElementById('loginForm').addEventListener('submit', async (e) => {
+                  e.preventDefault();
+                  const error = document.getElementById('error');
+                  error.textContent = '';
+
+                  try {
+                      const response = await fetch('/login', {
+                          method: 'POST',
+                          headers: { 'Content-Type': 'application/json' },
+                          body: JSON.stringify({ apiKey: document.getElementById('apiKey').value })
+                      });
+                      const data = await response.json();
+
+                      if (response.ok) {
+                          window.location.href = ${toScriptString(next)};
+                      } else {
+                          error.textContent = data.error;
+                      }
+                  } catch (err) {
+                      error.textContent = '登入失敗: ' + err.message;
+                  }
+              });
+          </script>
+      </body>
+      </html>
+  `);
+});
+
+// 登入：用 API key 換取 session cookie
+app.post("/login", (req, res) => {
+  const apiKey = auth.findKey(req.body && req.body.apiKey);
+  if (!apiKey) {
+    return res.status(401).json({ error: "API key 無效" });
+  }
+
+  auth.setSessionCookie(req, res, auth.createSession(apiKey));
+  res.json({ success: true, name: apiKey.name, scopes: apiKey.scopes });
+});
 
-// 靜態檔案服務
-app.use("/images", express.static(uploadsDir));
+// 登出
+app.post("/logout", (req, res) => {
+  auth.destroySession(req);
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
 
 // 首頁 - 簡單的上傳介面
-app.get("/", (req, res) => {
+app.get("/", auth.requireLogin("upload"), (req, res) => {
+  let albums;
+  try {
+    albums = albumRepo.list();
+  } catch (error) {
+    console.error("讀取相簿資料失敗:", error);
+    albums = [];
+  }
+
+  let usage;
+  try {
+    usage = imageRepo.usage(req.apiKey.id);
+  } catch (error) {
+    console.error("讀取用量失敗:", error);
+    usage = null;
+  }
+  const quota = getQuota(req.apiKey);
+
   res.send(`
       <!DOCTYPE html>
       <html>
@@ -159,6 +890,8 @@ app.get("/", (req, res) => {
               }
               .upload-area.dragover { border-color: #007bff; background-color: #f8f9fa; }
               input[type="file"] { margin: 10px 0; }
+              .option { display: inline-block; margin: 0 0 10px; color: #666; font-size: 0.9em; }
+              .text-option { width: 100%; max-width: 400px; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit; }
               button { 
                   background: #007bff; 
                   color: white; 
@@ -175,6 +908,12 @@ app.get("/", (req, res) => {
                   border-radius: 8px; 
                   box-shadow: 0 2px 4px rgba(0,0,0,0.1);
               }
+              .upload-item { border: 1px solid #ddd; box-shadow: none; }
+              .upload-item.failed { border-color: #dc3545; }
+              .progress { height: 8px; background: #e9ecef; border-radius: 4px; overflow: hidden; }
+              .progress-bar { width: 0; height: 100%; background: #28a745; transition: width 0.2s; }
+              .upload-item.failed .progress-bar { background: #dc3545; }
+              .upload-status { font-size: 0.9em; color: #666; }
               .url-input { 
                   width: 100%; 
                   padding: 8px; 
@@ -182,6 +921,7 @@ app.get("/", (req, res) => {
                   border: 1px solid #ddd; 
                   border-radius: 4px; 
               }
+              textarea.url-input { font-family: monospace; font-size: 0.85em; resize: vertical; }
               .content { 
                   background: white; 
                   padding: 20px; 
@@ -196,14 +936,57 @@ app.get("/", (req, res) => {
               <div class="nav">
                   <a href="/" class="nav-btn active">上傳圖片</a>
                   <a href="/manage" class="nav-btn">管理圖片</a>
+                  <button class="nav-btn" style="margin-left: auto;" onclick="logout()">登出</button>
               </div>
           </div>
 
           <div class="content">
+              ${
+                usage
+                  ? `<p class="option">📦 已使用 ${usage.images}${
+                      quota.maxImages !== null ? ` / ${quota.maxImages}` : ""
+                    } 張、${formatSize(usage.bytes)}${
+                      quota.maxBytes !== null
+                        ? ` / ${formatSize(quota.maxBytes)}`
+                        : ""
+                    }（包含垃圾桶中的圖片）</p>`
+                  : ""
+              }
               <div class="upload-area" id="uploadArea">
                   <p>🖼️ 拖拉圖片到這裡或點擊選擇檔案</p>
                   <input type="file" id="fileInput" accept="image/*" multiple>
                   <br>
+                  <select id="albumSelect" class="option" onclick="event.stopPropagation()">
+                      <option value="">不加入相簿</option>
+                      ${albums
+                        .map(
+                          (album) =>
+                            `<option value="${escapeHtml(album.id)}">${escapeHtml(album.name)}</option>`
+                        )
+                        .join("")}
+                  </select>
+                  <br>
+                  <input type="text" id="tagsInput" class="option text-option" placeholder="標籤（以逗號分隔）" onclick="event.stopPropagation()">
+                  <br>
+                  <textarea id="descriptionInput" class="option text-option" rows="2" placeholder="說明（選填）" onclick="event.stopPropagation()"></textarea>
+                  <br>
+                  <select id="visibilitySelect" class="option" onclick="event.stopPropagation()">
+                      <option value="public">🌐 公開</option>
+                      <option value="private">🔒 私人（需要登入或簽署網址）</option>
+                  </select>
+                  <select id="expiresSelect" class="option" onclick="event.stopPropagation()">
+                      <option value="">永久保存</option>
+                      <option value="3600">1 小時後刪除</option>
+                      <option value="86400">1 天後刪除</option>
+                      <option value="604800">7 天後刪除</option>
+                      <option value="2592000">30 天後刪除</option>
+                  </select>
+                  <br>
+                  <label class="option" onclick="event.stopPropagation()">
+                      <input type="checkbox" id="keepMetadata">
+                      保留 EXIF 資訊（包含 GPS 位置）
+                  </label>
+                  <br>
                   <button onclick="uploadFiles()">上傳圖片</button>
               </div>
               <div id="result"></div>
@@ -234,55 +1017,217 @@ app.get("/", (req, res) => {
                   fileInput.click();
               });
 
+              // 分段上傳：每個區塊失敗時最多重試的次數
+              const CHUNK_RETRIES = 3;
+              let uploading = false;
+
+              function escapeHtml(value) {
+                  return String(value).replace(/[&<>"']/g, (char) => ({
+                      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+                  })[char]);
+              }
+
+              function formatFileSize(bytes) {
+                  if (bytes === 0) return '0 B';
+                  const k = 1024;
+                  const sizes = ['B', 'KB', 'MB', 'GB'];
+                  const i = Math.floor(Math.log(bytes) / Math.log(k));
+                  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+              }
+
+              async function apiRequest(url, method, body) {
+                  const response = await fetch(url, {
+                      method: method,
+                      headers: body ? { 'Content-Type': 'application/json' } : {},
+                      body: body ? JSON.stringify(body) : undefined
+                  });
+                  const data = await response.json();
+                  if (!response.ok) throw new Error(data.error);
+                  return data;
+              }
+
               async function uploadFiles() {
-                  const files = fileInput.files;
+                  const files = Array.from(fileInput.files);
                   if (files.length === 0) {
                       alert('請選擇檔案');
                       return;
                   }
+                  if (uploading) return;
 
-                  const formData = new FormData();
-                  for (let file of files) {
-                      formData.append('images', file);
-                  }
+                  const expiresIn = Number(document.getElementById('expiresSelect').value);
+                  const fields = {
+                      keepMetadata: document.getElementById('keepMetadata').checked,
+                      albumId: document.getElementById('albumSelect').value || undefined,
+                      tags: document.getElementById('tagsInput').value,
+                      description: document.getElementById('descriptionInput').value,
+                      visibility: document.getElementById('visibilitySelect').value,
+                      expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : undefined
+                  };
 
-                  try {
-                      result.innerHTML = '<p>⏳ 上傳中...</p>';
-                      
-                      const response = await fetch('/upload', {
-                          method: 'POST',
-                          body: formData
-                      });
+                  result.innerHTML = '<h3>上傳進度</h3>' + files.map((file, index) => \`
+                      <div class="result upload-item" id="upload-\${index}">
+                          <p><strong>檔案名稱：</strong>\${escapeHtml(file.name)}（\${formatFileSize(file.size)}）</p>
+                          <div class="progress"><div class="progress-bar"></div></div>
+                          <p class="upload-status">等待中...</p>
+                          <div class="upload-output"></div>
+                      </div>
+                  \`).join('');
 
-                      const data = await response.json();
-                      
-                      if (response.ok) {
-                          showResults(data.images);
-                      } else {
-                          alert('上傳失敗: ' + data.error);
-                          result.innerHTML = '';
+                  // 依序上傳，一次一個檔案
+                  uploading = true;
+                  try {
+                      for (let index = 0; index < files.length; index++) {
+                          await uploadFile(files[index], fields, document.getElementById('upload-' + index));
                       }
-                  } catch (error) {
-                      alert('上傳失敗: ' + error.message);
-                      result.innerHTML = '';
+                  } finally {
+                      uploading = false;
                   }
               }
 
-              function showResults(images) {
-                  let html = '<h3>✅ 上傳成功！</h3>';
-                  images.forEach(img => {
-                      html += \`
-                          <div class="result" style="margin: 15px 0; padding: 15px; border: 1px solid #ddd; border-radius: 8px;">
-                              <p><strong>檔案名稱：</strong>\${img.originalName}</p>
-                              <p><strong>圖片網址：</strong></p>
-                              <input type="text" class="url-input" value="\${img.url}" readonly onclick="this.select()">
-                              <div style="margin-top: 10px;">
-                                  <img src="\${img.url}" style="max-width: 200px; border-radius: 4px;" alt="uploaded image">
-                              </div>
-                          </div>
-                      \`;
+              // 同一個檔案（名稱、大小、修改時間都相同）再上傳一次時，沿用之前的上傳工作續傳
+              function resumeKey(file) {
+                  return 'upload:' + [file.name, file.size, file.lastModified].join(':');
+              }
+
+              async function findSession(file) {
+                  const id = localStorage.getItem(resumeKey(file));
+                  if (!id) return null;
+
+                  const response = await fetch('/api/uploads/' + id);
+                  if (response.ok) return response.json();
+                  localStorage.removeItem(resumeKey(file));
+                  return null;
+              }
+
+              // 用 XMLHttpRequest 送出區塊才能取得上傳進度，成功時回傳伺服器已收到的大小
+              function sendChunk(id, chunk, offset, onProgress) {
+                  return new Promise((resolve, reject) => {
+                      const xhr = new XMLHttpRequest();
+                      xhr.open('PATCH', '/api/uploads/' + id);
+                      xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+                      xhr.setRequestHeader('Upload-Offset', String(offset));
+                      xhr.upload.onprogress = (event) => onProgress(event.loaded);
+                      xhr.onload = () => {
+                          let data = {};
+                          try {
+                              data = JSON.parse(xhr.responseText);
+                          } catch (error) {
+                              // 非 JSON 回應（例如代理伺服器的錯誤頁面）
+                          }
+                          if (xhr.status >= 200 && xhr.status < 300) {
+                              resolve(data.offset);
+                              return;
+                          }
+                          const error = new Error(data.error || '伺服器錯誤 ' + xhr.status);
+                          error.status = xhr.status;
+                          error.offset = data.offset;
+                          reject(error);
+                      };
+                      xhr.onerror = () => reject(new Error('網路連線中斷'));
+                      xhr.send(chunk);
                   });
-                  result.innerHTML = html;
+              }
+
+              // 上傳單一檔案並更新進度，失敗時顯示重試按鈕（會從中斷的位置續傳）
+              async function uploadFile(file, fields, item) {
+                  const bar = item.querySelector('.progress-bar');
+                  const status = item.querySelector('.upload-status');
+                  const output = item.querySelector('.upload-output');
+                  output.innerHTML = '';
+                  item.classList.remove('failed');
+
+                  function setProgress(bytes) {
+                      const percent = file.size > 0 ? Math.floor(bytes / file.size * 100) : 100;
+                      bar.style.width = percent + '%';
+                      status.textContent = \`上傳中... \${percent}%\`;
+                  }
+
+                  try {
+                      let session = await findSession(file);
+                      if (!session) {
+                          session = await apiRequest('/api/uploads', 'POST', {
+                              filename: file.name,
+                              size: file.size,
+                              mimetype: file.type,
+                              ...fields
+                          });
+                          localStorage.setItem(resumeKey(file), session.id);
+                      }
+
+                      let offset = session.offset;
+                      let failures = 0;
+                      setProgress(offset);
+                      while (offset < file.size) {
+                          const start = offset;
+                          try {
+                              const chunk = file.slice(start, start + session.chunkSize);
+                              offset = await sendChunk(session.id, chunk, start, (loaded) => setProgress(start + loaded));
+                              failures = 0;
+                              setProgress(offset);
+                          } catch (error) {
+                              // 409 以外的 4xx 錯誤重試也不會成功
+                              if (error.status >= 400 && error.status < 500 && error.status !== 409) throw error;
+                              if (++failures > CHUNK_RETRIES) throw error;
+
+                              // 409 代表伺服器收到的位置不同，從伺服器的位置繼續
+                              if (Number.isInteger(error.offset)) offset = error.offset;
+                              status.textContent = \`⚠️ \${error.message}，\${failures} 秒後重試...\`;
+                              await new Promise(resolve => setTimeout(resolve, failures * 1000));
+                          }
+                      }
+
+                      status.textContent = '⏳ 檢查並儲存中...';
+                      const data = await apiRequest(\`/api/uploads/\${session.id}/complete\`, 'POST');
+                      localStorage.removeItem(resumeKey(file));
+
+                      const image = data.images[0];
+                      bar.style.width = '100%';
+                      status.textContent = image.duplicate
+                          ? '✅ 上傳成功（與既有檔案重複，已共用儲存空間）'
+                          : '✅ 上傳成功';
+                      output.innerHTML = showResult(image);
+                  } catch (error) {
+                      item.classList.add('failed');
+                      status.textContent = '❌ 上傳失敗：' + error.message;
+
+                      const retry = document.createElement('button');
+                      retry.textContent = '🔄 重試';
+                      retry.onclick = async () => {
+                          if (uploading) return;
+                          uploading = true;
+                          try {
+                              await uploadFile(file, fields, item);
+                          } finally {
+                              uploading = false;
+                          }
+                      };
+                      output.appendChild(retry);
+                  }
+              }
+
+              async function logout() {
+                  await fetch('/logout', { method: 'POST' });
+                  window.location.href = '/login';
+              }
+
+              function showResult(img) {
+                  return \`
+                      <p><strong>圖片網址：</strong></p>
+                      <input type="text" class="url-input" value="\${escapeHtml(img.url)}" readonly onclick="this.select()">
+                      \${img.snippets ? \`
+                          <p><strong>HTML（img srcset）：</strong>\${img.variants.length > 0 ? \`已產生 \${img.variants.length} 個響應式版本\` : '圖片較小，沒有產生響應式版本'}</p>
+                          <textarea class="url-input" rows="3" readonly onclick="this.select()">\${escapeHtml(img.snippets.img)}</textarea>
+                          <p><strong>HTML（picture）：</strong></p>
+                          <textarea class="url-input" rows="5" readonly onclick="this.select()">\${escapeHtml(img.snippets.picture)}</textarea>
+                          <p><strong>Markdown：</strong></p>
+                          <input type="text" class="url-input" value="\${escapeHtml(img.snippets.markdown)}" readonly onclick="this.select()">
+                      \` : ''}
+                      \${img.visibility === 'private' ? '<p>🔒 私人圖片，需要登入或在管理頁面產生簽署網址才能讀取</p>' : ''}
+                      \${img.expiresAt ? \`<p>⏰ \${new Date(img.expiresAt).toLocaleString('zh-TW')} 後自動刪除</p>\` : ''}
+                      <div style="margin-top: 10px;">
+                          <img src="\${escapeHtml(img.url)}" style="max-width: 200px; border-radius: 4px;" alt="uploaded image">
+                      </div>
+                  \`;
               }
           </script>
       </body>
@@ -290,56 +1235,626 @@ app.get("/", (req, res) => {
   `);
 });
 
-// 上傳 API - 使用修正的網址生成方式
-app.post("/upload", upload.array("images", 10), (req, res) => {
-  if (!req.files || req.files.length === 0) {
-    return res.status(400).json({ error: "沒有檔案被上傳" });
+// 解析上傳欄位（相簿、標籤、說明、可見性、到期時間、是否保留 EXIF），格式錯誤時丟出 status 為 400 的錯誤
+function parseUploadFields(body) {
+  const fields = {};
+
+  // 可選：上傳到指定相簿
+  fields.albumId = body.albumId || null;
+  if (fields.albumId && !albumRepo.findById(fields.albumId)) {
+    const error = new Error("相簿不存在");
+    error.status = 400;
+    throw error;
   }
 
-  const baseUrl = getBaseUrl(req);
+  // 可選：套用到這批所有圖片的標籤和說明
+  // 可選：private 圖片需要登入或簽署網址才能讀取；到期後自動刪除
+  try {
+    fields.tags = normalizeTags(body.tags);
+    fields.description = normalizeDescription(body.description);
+    fields.visibility = normalizeVisibility(body.visibility) || "public";
+    fields.expiresAt = normalizeExpiresAt(body.expiresAt) || null;
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
 
-  readMeta()
-    .then((images) => {
-      const newImages = [];
+  fields.keepMetadata = parseKeepMetadata(body);
+  return fields;
+}
+
+// 預設移除 EXIF（包含 GPS），keepMetadata=true 時保留
+function parseKeepMetadata(body) {
+  return ["true", "1", "on"].includes(String(body.keepMetadata));
+}
+
+// 產生響應式版本並記錄在 stored.variants，失敗時只記錄錯誤，圖片照常儲存
+function addVariants(stored) {
+  return createVariants(
+    storage,
+    stored.buffer,
+    {
+      hash: stored.hash,
+      width: stored.metadata.width,
+      height: stored.metadata.height,
+    },
+    variantConfig
+  )
+    .then((variants) => {
+      stored.variants = variants;
+    })
+    .catch((error) => {
+      console.error(
+        "產生響應式版本失敗:",
+        stored.originalName,
+        error.message
+      );
+    });
+}
+
+// 檢查、去除重複並儲存上傳的檔案，再建立圖片記錄
+// files 是 { buffer, originalName, mimetype } 陣列，apiKey 是上傳者，回傳上傳 API 的回應內容
+// baseUrl 是請求的網址，沒有設定 PUBLIC_BASE_URL 時用來組成回應中的圖片網址
+function storeUploads(files, fields, baseUrl, apiKey) {
+  const seenHashes = new Map();
+
+  // 以 magic bytes 檢查內容，副檔名和 mimetype 以偵測到的格式為準
+  return Promise.all(
+    files.map((file) =>
+      prepareUpload(file, {
+        reencode: reencodeUploads,
+        keepMetadata: fields.keepMetadata,
+      })
+    )
+  )
+    .then((preparedFiles) => {
+      // 以實際要儲存的大小檢查配額，超過時整批都不儲存
+      checkQuota(
+        apiKey,
+        preparedFiles.length,
+        preparedFiles.reduce((sum, prepared) => sum + prepared.buffer.length, 0)
+      );
+
+      // 依內容的 SHA-256 判斷是否重複，重複的檔案沿用已儲存的 blob
+      const storedFiles = preparedFiles.map((prepared, index) => {
+        const hash = crypto
+          .createHash("sha256")
+          .update(prepared.buffer)
+          .digest("hex");
+        const blob = imageRepo.findBlob(hash);
+        const storageKey = blob
+          ? blob.storageKey
+          : seenHashes.get(hash) || hash + prepared.ext;
+        const duplicate = Boolean(blob) || seenHashes.has(hash);
+        // 相同內容只產生一次響應式版本，既有的內容已經有版本時沿用
+        const needsVariants = !(blob && blob.variants) && !seenHashes.has(hash);
+        seenHashes.set(hash, storageKey);
+
+        return {
+          ...prepared,
+          originalName: files[index].originalName,
+          hash,
+          storageKey,
+          duplicate,
+          needsVariants,
+          filename: uuidv4() + prepared.ext,
+        };
+      });
 
-      for (const file of req.files) {
-        const imageData = {
+      // 先把新檔案寫入儲存後端，再更新 metadata
+      return Promise.all(
+        storedFiles
+          .filter(({ duplicate }) => !duplicate)
+          .map((stored) =>
+            storage.put(stored.storageKey, stored.buffer, {
+              contentType: stored.mimetype,
+            })
+          )
+      ).then(() => storedFiles);
+    })
+    .then((storedFiles) =>
+      // 依序產生響應式版本，避免同時轉檔佔用太多記憶體；失敗時只記錄錯誤，圖片照常上傳
+      storedFiles
+        .filter(({ needsVariants }) => needsVariants)
+        .reduce(
+          (chain, stored) => chain.then(() => addVariants(stored)),
+          Promise.resolve()
+        )
+        .then(() => storedFiles)
+    )
+    .then((storedFiles) => {
+      const newImages = imageRepo.insertMany(
+        storedFiles.map((stored) => ({
           id: uuidv4(),
-          filename: file.filename,
-          originalName: file.originalname,
-          mimetype: file.mimetype,
-          size: file.size,
-          url: `${baseUrl}/images/${file.filename}`,
+          filename: stored.filename,
+          originalName: stored.originalName,
+          mimetype: stored.mimetype,
+          size: stored.buffer.length,
           uploadTime: new Date().toISOString(),
-        };
+          hash: stored.hash,
+          storageKey: stored.storageKey,
+          ...stored.metadata,
+          albumId: fields.albumId,
+          tags: fields.tags,
+          description: fields.description,
+          visibility: fields.visibility,
+          expiresAt: fields.expiresAt,
+          ownerId: apiKey.id,
+          variants: stored.variants,
+        }))
+      );
+      emitImageEvent("image.uploaded", newImages);
+      const duplicateCount = storedFiles.filter(
+        ({ duplicate }) => duplicate
+      ).length;
+
+      return {
+        success: true,
+        message:
+          duplicateCount > 0
+            ? `成功上傳 ${files.length} 個檔案（${duplicateCount} 個與既有檔案重複，已共用儲存空間）`
+            : `成功上傳 ${files.length} 個檔案`,
+        images: newImages.map((image, index) => {
+          const result = imageUrls.withUrl(image, baseUrl);
+          return {
+            ...result,
+            duplicate: storedFiles[index].duplicate,
+            metadataStripped: storedFiles[index].metadataStripped,
+            snippets: buildSnippets(result),
+          };
+        }),
+        duplicateCount,
+      };
+    });
+}
+
+// 上傳 API - 使用修正的網址生成方式
+// 配額已經用完時，不讀取上傳的檔案就先拒絕，實際大小會在儲存前再檢查一次
+function rejectWhenQuotaFull(req, res, next) {
+  try {
+    checkQuota(req.apiKey, 1, 1);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+  next();
+}
+
+app.post(
+  "/upload",
+  limitUploads,
+  auth.requireScope("upload"),
+  rejectWhenQuotaFull,
+  upload.array("images", 10),
+  (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: "沒有檔案被上傳" });
+    }
+
+    let fields;
+    try {
+      fields = parseUploadFields(req.body);
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    const files = req.files.map((file) => ({
+      buffer: file.buffer,
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+    }));
+
+    storeUploads(files, fields, getBaseUrl(req), req.apiKey)
+      .then((result) => {
+        res.json(result);
+      })
+      .catch((error) => {
+        res.status(error.status || 500).json({ error: error.message });
+      });
+  }
+);
+
+// 取代圖片的內容，網址和其他資訊不變；file 是 { buffer, originalName, mimetype }
+// 新檔案經過和上傳相同的檢查，原本的內容保留為舊版本，回傳更新後的圖片
+function replaceImageContent(image, file, keepMetadata, apiKey) {
+  let stored;
+
+  return prepareUpload(file, { reencode: reencodeUploads, keepMetadata })
+    .then((prepared) => {
+      // 舊版本仍佔用空間，新內容的大小全部計入配額
+      checkQuota(apiKey, 0, prepared.buffer.length);
+
+      const hash = crypto
+        .createHash("sha256")
+        .update(prepared.buffer)
+        .digest("hex");
+      if (hash === image.hash) {
+        const error = new Error("新檔案和目前的內容相同");
+        error.status = 400;
+        throw error;
+      }
 
-        images.push(imageData);
-        newImages.push(imageData);
+      // 內容和既有的 blob 相同時沿用，不重複儲存
+      const blob = imageRepo.findBlob(hash);
+      stored = {
+        ...prepared,
+        originalName: file.originalName,
+        hash,
+        storageKey: blob ? blob.storageKey : hash + prepared.ext,
+      };
+      if (blob) {
+        return blob.variants ? null : addVariants(stored);
+      }
+      return storage
+        .put(stored.storageKey, stored.buffer, {
+          contentType: stored.mimetype,
+        })
+        .then(() => addVariants(stored));
+    })
+    .then(() => {
+      const result = imageRepo.replaceContent(image.id, {
+        hash: stored.hash,
+        storageKey: stored.storageKey,
+        mimetype: stored.mimetype,
+        size: stored.buffer.length,
+        ...stored.metadata,
+        variants: stored.variants,
+      });
+      if (!result) {
+        const error = new Error("圖片不存在");
+        error.status = 404;
+        throw error;
       }
 
-      return writeMeta(images).then(() => {
+      emitImageEvent("image.replaced", [result.image], {
+        previousVersion: image.version,
+      });
+      purgeCdnCache([image, result.image]);
+      // 清掉舊內容的轉換快取，以及超過保留數量、不再被引用的舊版本檔案
+      deleteStoredFiles([image], result.unusedKeys);
+      return result.image;
+    });
+}
+
+// API: 取代圖片的內容（multipart 欄位 image），網址不變，原本的內容保留為舊版本
+app.post(
+  "/api/images/:id/replace",
+  limitUploads,
+  auth.requireScope("upload"),
+  rejectWhenQuotaFull,
+  upload.single("image"),
+  (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: "沒有檔案被上傳" });
+    }
+
+    let image;
+    try {
+      image = imageRepo.findById(req.params.id);
+    } catch (error) {
+      return res.status(500).json({ error: "讀取圖片資料失敗" });
+    }
+    if (!image || image.deletedAt) {
+      return res.status(404).json({ error: "圖片不存在" });
+    }
+
+    const file = {
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      mimetype: req.file.mimetype,
+    };
+    replaceImageContent(image, file, parseKeepMetadata(req.body), req.apiKey)
+      .then((replaced) => {
+        const result = withUrl(req, replaced);
         res.json({
           success: true,
-          message: `成功上傳 ${req.files.length} 個檔案`,
-          images: newImages,
+          message: `圖片已取代為第 ${replaced.version} 版`,
+          image: { ...result, snippets: buildSnippets(result) },
         });
+      })
+      .catch((error) => {
+        res.status(error.status || 500).json({ error: error.message });
       });
-    })
-    .catch((error) => {
-      res.status(500).json({ error: error.message });
+  }
+);
+
+// 分段上傳的區塊以原始 bytes 送出（和 tus 一樣使用 application/offset+octet-stream）
+const CHUNK_TYPES = ["application/offset+octet-stream", "application/octet-stream"];
+const readChunk = express.raw({ type: CHUNK_TYPES, limit: MAX_CHUNK_SIZE });
+
+function parseChunk(req, res, next) {
+  if (!req.is(CHUNK_TYPES)) {
+    return res.status(415).json({
+      error: "區塊的 Content-Type 必須是 application/offset+octet-stream",
     });
+  }
+  readChunk(req, res, (error) => {
+    if (!error) return next();
+    if (error.type === "entity.too.large") {
+      return res
+        .status(413)
+        .json({ error: `每個區塊不能超過 ${formatSize(MAX_CHUNK_SIZE)}` });
+    }
+    res.status(error.status || 400).json({ error: error.message });
+  });
+}
+
+function uploadSessionJson(session) {
+  return {
+    id: session.id,
+    filename: session.filename,
+    size: session.size,
+    offset: session.offset,
+    chunkSize: CHUNK_SIZE,
+    expiresTime: new Date(session.expires).toISOString(),
+  };
+}
+
+// API: 建立分段上傳工作
+// body: { filename, size, mimetype, albumId?, tags?, description?, visibility?, expiresAt?, keepMetadata? }
+app.post(
+  "/api/uploads",
+  limitUploadSessions,
+  auth.requireScope("upload"),
+  (req, res) => {
+    const { filename, mimetype } = req.body;
+    const size = Number(req.body.size);
+
+    if (typeof filename !== "string" || !filename.trim()) {
+      return res.status(400).json({ error: "請提供檔案名稱 filename" });
+    }
+    if (mimetype && !ALLOWED_TYPES.includes(mimetype)) {
+      return res.status(400).json({ error: "只允許上傳圖片檔案" });
+    }
+    if (size > maxUploadSize) {
+      return res.status(413).json({
+        error: `檔案太大，請上傳小於 ${formatSize(maxUploadSize)} 的圖片`,
+      });
+    }
+
+    // 先檢查欄位和配額，完成時會再檢查一次（例如相簿在上傳期間被刪除）
+    try {
+      parseUploadFields(req.body);
+      checkQuota(req.apiKey, 1, size);
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    uploadSessions
+      .create({
+        ownerId: req.apiKey.id,
+        filename: filename.trim(),
+        mimetype: mimetype || null,
+        size,
+        fields: {
+          albumId: req.body.albumId,
+          tags: req.body.tags,
+          description: req.body.description,
+          visibility: req.body.visibility,
+          expiresAt: req.body.expiresAt,
+          keepMetadata: req.body.keepMetadata,
+        },
+      })
+      .then((session) => {
+        res.status(201).json(uploadSessionJson(session));
+      })
+      .catch((error) => {
+        res.status(error.status || 500).json({ error: error.message });
+      });
+  }
+);
+
+// API: 查詢上傳進度，斷線後依 offset 續傳
+app.get("/api/uploads/:id", auth.requireScope("upload"), (req, res) => {
+  try {
+    const session = uploadSessions.get(req.params.id, req.apiKey.id);
+    res.set("Upload-Offset", String(session.offset));
+    res.json(uploadSessionJson(session));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: 送出一個區塊，Upload-Offset header 是這個區塊在檔案中的位置
+app.patch(
+  "/api/uploads/:id",
+  limitChunks,
+  auth.requireScope("upload"),
+  parseChunk,
+  (req, res) => {
+    const offset = Number(req.get("Upload-Offset"));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: "請提供 Upload-Offset header" });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "區塊是空的" });
+    }
+
+    uploadSessions
+      .appendChunk(req.params.id, req.apiKey.id, offset, req.body)
+      .then((session) => {
+        res.set("Upload-Offset", String(session.offset));
+        res.json(uploadSessionJson(session));
+      })
+      .catch((error) => {
+        if (error.offset !== undefined) {
+          res.set("Upload-Offset", String(error.offset));
+        }
+        res
+          .status(error.status || 500)
+          .json({ error: error.message, offset: error.offset });
+      });
+  }
+);
+
+// API: 所有區塊送完後組合檔案，檢查並儲存，回應格式和 POST /upload 相同
+app.post(
+  "/api/uploads/:id/complete",
+  auth.requireScope("upload"),
+  (req, res) => {
+    const { id } = req.params;
+
+    uploadSessions
+      .read(id, req.apiKey.id)
+      .then(({ session, buffer }) => {
+        let fields;
+        try {
+          fields = parseUploadFields(session.fields);
+        } catch (error) {
+          uploadSessions.remove(id);
+          throw error;
+        }
+
+        const file = {
+          buffer,
+          originalName: session.filename,
+          mimetype: session.mimetype,
+        };
+        return storeUploads([file], fields, getBaseUrl(req), req.apiKey).then(
+          (result) => {
+            uploadSessions.remove(id);
+            res.json(result);
+          },
+          (error) => {
+            // 檔案內容不合格時不需要保留，其他錯誤保留讓客戶端重試
+            if (error.status === 400) {
+              uploadSessions.remove(id);
+            } else {
+              uploadSessions.release(id);
+            }
+            throw error;
+          }
+        );
+      })
+      .catch((error) => {
+        res
+          .status(error.status || 500)
+          .json({ error: error.message, offset: error.offset });
+      });
+  }
+);
+
+// API: 取消分段上傳
+app.delete("/api/uploads/:id", auth.requireScope("upload"), (req, res) => {
+  try {
+    uploadSessions.get(req.params.id, req.apiKey.id);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  uploadSessions.remove(req.params.id).then(() => {
+    res.json({ success: true, message: "上傳已取消" });
+  });
 });
 
+// 匯入 API：一次最多 10 個來源，和 POST /upload 相同
+const MAX_IMPORT_SOURCES = 10;
+
+// 設定 IMPORT_ALLOW_PRIVATE=true 時允許下載內部位址的圖片（測試或內網部署用）
+const importAllowPrivate = process.env.IMPORT_ALLOW_PRIVATE === "true";
+
+// base64 會比原始檔案大約 4/3 倍
+const MAX_IMPORT_BODY =
+  Math.ceil((maxUploadSize * 4) / 3) * MAX_IMPORT_SOURCES + 64 * 1024;
+const readImportJson = express.json({ limit: MAX_IMPORT_BODY });
+
+// 只計算請求本身的 bytes（data URI），從網址下載的內容不計入
+const limitImports = createRateLimiter(
+  rateLimitStore,
+  [uploadCountRule, uploadBytesRule(MAX_IMPORT_BODY)],
+  rateLimitKey
+);
+
+function parseImportJson(req, res, next) {
+  readImportJson(req, res, (error) => {
+    if (!error) return next();
+    res.status(error.status || 400).json({ error: error.message });
+  });
+}
+
+// 取得一個匯入來源的內容：網址字串、data URI，或 { url, filename }
+function loadImportSource(source) {
+  const url = typeof source === "string" ? source : source && source.url;
+  if (typeof url !== "string" || !url.trim()) {
+    const error = new Error("來源必須是網址、data URI 或 { url, filename }");
+    error.status = 400;
+    return Promise.reject(error);
+  }
+
+  const options = {
+    maxSize: maxUploadSize,
+    allowedTypes: ALLOWED_TYPES,
+    allowPrivate: importAllowPrivate,
+  };
+  const load = url.trim().startsWith("data:")
+    ? Promise.resolve().then(() => parseDataUri(url.trim(), options))
+    : fetchRemoteImage(url.trim(), options);
+
+  return load.then((file) => {
+    if (source.filename && typeof source.filename === "string") {
+      file.originalName = source.filename.trim() || file.originalName;
+    }
+    return file;
+  });
+}
+
+// API: 從網址或 data URI 匯入圖片，檢查和儲存方式和 POST /upload 相同
+// body: { sources: [...], albumId?, tags?, description?, keepMetadata? }
+app.post(
+  "/api/images/import",
+  limitImports,
+  auth.requireScope("upload"),
+  parseImportJson,
+  (req, res) => {
+    const { sources } = req.body;
+    if (!Array.isArray(sources) || sources.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "請提供要匯入的網址或 data URI 陣列 sources" });
+    }
+    if (sources.length > MAX_IMPORT_SOURCES) {
+      return res
+        .status(400)
+        .json({ error: `一次最多匯入 ${MAX_IMPORT_SOURCES} 張圖片` });
+    }
+
+    let fields;
+    try {
+      fields = parseUploadFields(req.body);
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    // 任何一個來源失敗就整批不儲存，錯誤訊息標示是第幾個來源
+    Promise.all(
+      sources.map((source, index) =>
+        loadImportSource(source).catch((error) => {
+          error.message = `第 ${index + 1} 個來源：${error.message}`;
+          throw error;
+        })
+      )
+    )
+      .then((files) => storeUploads(files, fields, getBaseUrl(req), req.apiKey))
+      .then((result) => {
+        res.json(result);
+      })
+      .catch((error) => {
+        res.status(error.status || 500).json({ error: error.message });
+      });
+  }
+);
+
 // 錯誤處理
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === "LIMIT_FILE_SIZE") {
       return res
         .status(400)
-        .json({ error: "檔案太大，請上傳小於 10MB 的圖片" });
+        .json({
+          error: `檔案太大，請上傳小於 ${formatSize(maxUploadSize)} 的圖片`,
+        });
     }
   }
-  res.status(500).json({ error: error.message });
+  res.status(error.status || 500).json({ error: error.message });
 });
 
 // 健康檢查
@@ -351,694 +1866,2842 @@ app.listen(PORT, () => {
   console.log(`圖片託管服務運行在 port ${PORT}`);
 });
 // 圖片管理頁面路由
-app.get("/manage", (req, res) => {
-  readMeta()
-    .then((images) => {
-      res.send(`
-          <!DOCTYPE html>
-          <html>
-          <head>
-              <title>圖片管理 - 圖片託管服務</title>
-              <meta charset="utf-8">
-              <meta name="viewport" content="width=device-width, initial-scale=1">
-              <style>
-                  * { box-sizing: border-box; }
-                  body { 
-                      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-                      max-width: 1200px; 
-                      margin: 0 auto; 
-                      padding: 20px; 
-                      background: #f5f5f5;
-                  }
-                  .header { 
-                      background: white; 
-                      padding: 20px; 
-                      border-radius: 8px; 
-                      margin-bottom: 20px; 
-                      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                  }
-                  .nav { 
-                      display: flex; 
-                      gap: 10px; 
-                      margin-bottom: 20px; 
-                  }
-                  .nav-btn { 
-                      padding: 10px 20px; 
-                      background: #007bff; 
-                      color: white; 
-                      border: none; 
-                      border-radius: 4px; 
-                      cursor: pointer; 
-                      text-decoration: none;
-                      display: inline-block;
-                  }
-                  .nav-btn:hover { background: #0056b3; }
-                  .nav-btn.active { background: #28a745; }
-                  .content { 
-                      background: white; 
-                      padding: 20px; 
-                      border-radius: 8px; 
-                      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                  }
-                  .stats { 
-                      display: flex; 
-                      gap: 20px; 
-                      margin-bottom: 30px; 
-                      flex-wrap: wrap;
-                  }
-                  .stat-card { 
-                      background: #f8f9fa; 
-                      padding: 20px; 
-                      border-radius: 8px; 
-                      text-align: center; 
-                      min-width: 150px;
-                  }
-                  .stat-number { 
-                      font-size: 2em; 
-                      font-weight: bold; 
-                      color: #007bff; 
-                  }
-                  .filters { 
-                      margin-bottom: 20px; 
-                      display: flex; 
-                      gap: 10px; 
-                      align-items: center;
-                      flex-wrap: wrap;
-                  }
-                  .search-input { 
-                      padding: 8px 12px; 
-                      border: 1px solid #ddd; 
-                      border-radius: 4px; 
-                      flex: 1;
-                      min-width: 200px;
-                  }
-                  .sort-select { 
-                      padding: 8px 12px; 
-                      border: 1px solid #ddd; 
-                      border-radius: 4px; 
-                  }
-                  .images-grid { 
-                      display: grid; 
-                      grid-template-columns: repeat(auto-fill, minmax(300px, 1fr)); 
-                      gap: 20px; 
-                  }
-                  .image-card { 
-                      border: 1px solid #ddd; 
-                      border-radius: 8px; 
-                      overflow: hidden; 
-                      background: white;
-                      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                  }
-                  .image-preview { 
-                      width: 100%; 
-                      height: 200px; 
-                      object-fit: cover; 
-                  }
-                  .image-info { 
-                      padding: 15px; 
-                  }
-                  .image-name { 
-                      font-weight: bold; 
-                      margin-bottom: 8px; 
-                      word-break: break-all;
-                  }
-                  .image-meta { 
-                      font-size: 0.9em; 
-                      color: #666; 
-                      margin-bottom: 5px; 
-                  }
-                  .image-url { 
-                      font-size: 0.8em; 
-                      background: #f8f9fa; 
-                      padding: 5px; 
-                      border-radius: 4px; 
-                      word-break: break-all;
-                      margin: 10px 0;
-                  }
-                  .image-actions { 
-                      display: flex; 
-                      gap: 10px; 
-                      margin-top: 10px; 
-                      flex-wrap: wrap;
-                  }
-                  .btn { 
-                      padding: 6px 12px; 
-                      border: none; 
-                      border-radius: 4px; 
-                      cursor: pointer; 
-                      text-decoration: none;
-                      display: inline-block;
-                      font-size: 0.9em;
-                  }
-                  .btn-primary { background: #007bff; color: white; }
-                  .btn-danger { background: #dc3545; color: white; }
-                  .btn-success { background: #28a745; color: white; }
-                  .btn:hover { opacity: 0.8; }
-                  .empty-state { 
-                      text-align: center; 
-                      padding: 60px 20px; 
-                      color: #666;
-                      grid-column: 1 / -1;
-                  }
-                  .empty-state img { 
-                      width: 100px; 
-                      opacity: 0.3; 
-                      margin-bottom: 20px; 
-                  }
-                  .bulk-actions {
-                      margin-bottom: 20px;
-                      display: flex;
-                      gap: 10px;
-                      align-items: center;
-                      flex-wrap: wrap;
-                  }
-                  .checkbox {
-                      margin-right: 8px;
-                  }
-                  .selected-count {
-                      background: #007bff;
-                      color: white;
-                      padding: 5px 10px;
-                      border-radius: 4px;
-                      font-size: 0.9em;
-                  }
-                  @media (max-width: 768px) {
-                      .images-grid { grid-template-columns: 1fr; }
-                      .stats { justify-content: center; }
-                      .filters { flex-direction: column; align-items: stretch; }
-                      .image-actions { justify-content: center; }
-                  }
-              </style>
-          </head>
-          <body>
-              <div class="header">
-                  <h1>圖片管理</h1>
-                  <div class="nav">
-                      <a href="/" class="nav-btn">上傳圖片</a>
-                      <a href="/manage" class="nav-btn active">管理圖片</a>
-                  </div>
-              </div>
-
-              <div class="content">
-                  <!-- 統計卡片 -->
-                  <div class="stats">
-                      <div class="stat-card">
-                          <div class="stat-number" id="totalImages">${
-                            images.length
-                          }</div>
-                          <div>總圖片數</div>
-                      </div>
-                      <div class="stat-card">
-                          <div class="stat-number" id="totalSize">計算中...</div>
-                          <div>總容量</div>
-                      </div>
-                      <div class="stat-card">
-                          <div class="stat-number" id="todayUploads">計算中...</div>
-                          <div>今日上傳</div>
-                      </div>
-                  </div>
-
-                  <!-- 批量操作 -->
-                  <div class="bulk-actions" id="bulkActions" style="display: none;">
-                      <span class="selected-count" id="selectedCount">已選擇 0 張圖片</span>
-                      <button class="btn btn-danger" onclick="deleteSelected()">🗑️ 刪除選中</button>
-                      <button class="btn btn-primary" onclick="selectAll()">全選</button>
-                      <button class="btn" onclick="clearSelection()">取消選擇</button>
-                  </div>
-
-                  <!-- 篩選和搜尋 -->
-                  <div class="filters">
-                      <input type="text" id="searchInput" class="search-input" placeholder="🔍 搜尋圖片名稱...">
-                      <select id="sortSelect" class="sort-select">
-                          <option value="newest">最新上傳</option>
-                          <option value="oldest">最舊上傳</option>
-                          <option value="name">檔名 A-Z</option>
-                          <option value="size">檔案大小</option>
-                      </select>
-                      <button class="btn btn-danger" onclick="confirmDeleteAll()">🗑️ 清空全部</button>
-                  </div>
+app.get("/manage", auth.requireLogin("read"), (req, res) => {
+  let stats;
+  try {
+    stats = imageRepo.stats();
+  } catch (error) {
+    console.error("讀取圖片資料失敗:", error);
+    return res.status(500).send("讀取圖片資料失敗");
+  }
 
-                  <!-- 圖片網格 -->
-                  <div class="images-grid" id="imagesGrid">
-                      ${
-                        images.length === 0
-                          ? `
-                          <div class="empty-state">
-                              <div style="font-size: 4em;">📷</div>
-                              <h3>還沒有圖片</h3>
-                              <p>去 <a href="/">上傳頁面</a> 開始上傳你的第一張圖片吧！</p>
-                          </div>
-                      `
-                          : ""
-                      }
-                  </div>
-              </div>
+  res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <title>圖片管理 - 圖片託管服務</title>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <style>
+              * { box-sizing: border-box; }
+              body { 
+                  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+                  max-width: 1200px; 
+                  margin: 0 auto; 
+                  padding: 20px; 
+                  background: #f5f5f5;
+              }
+              .header { 
+                  background: white; 
+                  padding: 20px; 
+                  border-radius: 8px; 
+                  margin-bottom: 20px; 
+                  box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+              }
+              .nav { 
+                  display: flex; 
+                  gap: 10px; 
+                  margin-bottom: 20px; 
+              }
+              .nav-btn { 
+                  padding: 10px 20px; 
+                  background: #007bff; 
+                  color: white; 
+                  border: none; 
+                  border-radius: 4px; 
+                  cursor: pointer; 
+                  text-decoration: none;
+                  display: inline-block;
+              }
+              .nav-btn:hover { background: #0056b3; }
+              .nav-btn.active { background: #28a745; }
+              .content { 
+                  background: white; 
+                  padding: 20px; 
+                  border-radius: 8px; 
+                  box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+              }
+              .stats { 
+                  display: flex; 
+                  gap: 20px; 
+                  margin-bottom: 30px; 
+                  flex-wrap: wrap;
+              }
+              .stat-card { 
+                  background: #f8f9fa; 
+                  padding: 20px; 
+                  border-radius: 8px; 
+                  text-align: center; 
+                  min-width: 150px;
+              }
+              .stat-number { 
+                  font-size: 2em; 
+                  font-weight: bold; 
+                  color: #007bff; 
+              }
+              .filters { 
+                  margin-bottom: 20px; 
+                  display: flex; 
+                  gap: 10px; 
+                  align-items: center;
+                  flex-wrap: wrap;
+              }
+              .search-input { 
+                  padding: 8px 12px; 
+                  border: 1px solid #ddd; 
+                  border-radius: 4px; 
+                  flex: 1;
+                  min-width: 200px;
+              }
+              .sort-select { 
+                  padding: 8px 12px; 
+                  border: 1px solid #ddd; 
+                  border-radius: 4px; 
+              }
+              .images-grid { 
+                  display: grid; 
+                  grid-template-columns: repeat(auto-fill, minmax(300px, 1fr)); 
+                  gap: 20px; 
+              }
+              .image-card { 
+                  border: 1px solid #ddd; 
+                  border-radius: 8px; 
+                  overflow: hidden; 
+                  background: white;
+                  box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+              }
+              .image-preview { 
+                  width: 100%; 
+                  height: 200px; 
+                  object-fit: cover; 
+              }
+              .image-info { 
+                  padding: 15px; 
+              }
+              .image-name { 
+                  font-weight: bold; 
+                  margin-bottom: 8px; 
+                  word-break: break-all;
+              }
+              .image-meta { 
+                  font-size: 0.9em; 
+                  color: #666; 
+                  margin-bottom: 5px; 
+              }
+              .file-status {
+                  color: #dc3545;
+                  font-weight: bold;
+              }
+              .image-url { 
+                  font-size: 0.8em; 
+                  background: #f8f9fa; 
+                  padding: 5px; 
+                  border-radius: 4px; 
+                  word-break: break-all;
+                  margin: 10px 0;
+              }
+              .image-actions { 
+                  display: flex; 
+                  gap: 10px; 
+                  margin-top: 10px; 
+                  flex-wrap: wrap;
+              }
+              .btn { 
+                  padding: 6px 12px; 
+                  border: none; 
+                  border-radius: 4px; 
+                  cursor: pointer; 
+                  text-decoration: none;
+                  display: inline-block;
+                  font-size: 0.9em;
+              }
+              .btn-primary { background: #007bff; color: white; }
+              .btn-danger { background: #dc3545; color: white; }
+              .btn-success { background: #28a745; color: white; }
+              .btn:hover { opacity: 0.8; }
+              .empty-state { 
+                  text-align: center; 
+                  padding: 60px 20px; 
+                  color: #666;
+                  grid-column: 1 / -1;
+              }
+              .empty-state img { 
+                  width: 100px; 
+                  opacity: 0.3; 
+                  margin-bottom: 20px; 
+              }
+              .bulk-actions {
+                  margin-bottom: 20px;
+                  display: flex;
+                  gap: 10px;
+                  align-items: center;
+                  flex-wrap: wrap;
+              }
+              .checkbox {
+                  margin-right: 8px;
+              }
+              .selected-count {
+                  background: #007bff;
+                  color: white;
+                  padding: 5px 10px;
+                  border-radius: 4px;
+                  font-size: 0.9em;
+              }
+              .load-more {
+                  text-align: center;
+                  padding: 20px;
+                  color: #666;
+              }
+              .layout {
+                  display: flex;
+                  gap: 20px;
+                  align-items: flex-start;
+              }
+              .layout .content {
+                  flex: 1;
+                  min-width: 0;
+              }
+              .sidebar {
+                  width: 220px;
+                  flex-shrink: 0;
+                  background: white;
+                  padding: 15px;
+                  border-radius: 8px;
+                  box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+              }
+              .sidebar h3 {
+                  margin: 0 0 10px;
+                  font-size: 1em;
+              }
+              .album-item {
+                  display: flex;
+                  justify-content: space-between;
+                  gap: 8px;
+                  padding: 8px 10px;
+                  border-radius: 4px;
+                  cursor: pointer;
+                  word-break: break-all;
+              }
+              .album-item:hover { background: #f8f9fa; }
+              .album-item.active { background: #007bff; color: white; }
+              .album-count { font-size: 0.8em; opacity: 0.7; }
+              .album-actions {
+                  display: flex;
+                  gap: 5px;
+                  flex-wrap: wrap;
+                  margin-top: 10px;
+              }
+              .sidebar h3.tags-title {
+                  margin-top: 20px;
+              }
+              .tag-list, .tag-chips {
+                  display: flex;
+                  gap: 5px;
+                  flex-wrap: wrap;
+              }
+              .tag-chip {
+                  display: inline-block;
+                  padding: 2px 8px;
+                  border-radius: 12px;
+                  background: #e9ecef;
+                  color: #333;
+                  font-size: 0.8em;
+                  cursor: pointer;
+                  word-break: break-all;
+              }
+              .tag-chip:hover { background: #dee2e6; }
+              .tag-chip.active { background: #007bff; color: white; }
+              .trash-item { margin-top: 10px; }
+              body.trash-view .normal-only { display: none !important; }
+              body:not(.trash-view) .trash-only { display: none !important; }
+              body:not(.similar-view) .similar-only { display: none !important; }
+              body.similar-view .filters,
+              body.similar-view .facet-bar,
+              body.similar-view .tags-title,
+              body.similar-view .tag-list { display: none !important; }
+              .cluster-header {
+                  grid-column: 1 / -1;
+                  display: flex;
+                  gap: 10px;
+                  flex-wrap: wrap;
+                  align-items: center;
+                  padding-top: 10px;
+                  border-top: 1px solid #dee2e6;
+              }
+              .facet-bar {
+                  display: flex;
+                  gap: 5px;
+                  flex-wrap: wrap;
+                  align-items: center;
+                  margin-bottom: 20px;
+                  font-size: 0.9em;
+                  color: #666;
+              }
+              .image-description {
+                  font-size: 0.9em;
+                  color: #333;
+                  margin: 8px 0;
+                  white-space: pre-wrap;
+                  word-break: break-word;
+              }
+              @media (max-width: 768px) {
+                  .layout { flex-direction: column; align-items: stretch; }
+                  .sidebar { width: auto; }
+                  .images-grid { grid-template-columns: 1fr; }
+                  .stats { justify-content: center; }
+                  .filters { flex-direction: column; align-items: stretch; }
+                  .image-actions { justify-content: center; }
+              }
+          </style>
+      </head>
+      <body>
+          <div class="header">
+              <h1>圖片管理</h1>
+              <div class="nav">
+                  <a href="/" class="nav-btn">上傳圖片</a>
+                  <a href="/manage" class="nav-btn active">管理圖片</a>
+                  <button class="nav-btn" style="margin-left: auto;" onclick="logout()">登出</button>
+              </div>
+          </div>
+
+          <div class="layout">
+          <!-- 相簿列表 -->
+          <aside class="sidebar">
+              <h3>📁 相簿</h3>
+              <div id="albumList"></div>
+              <div class="album-actions">
+                  <button class="btn btn-primary" onclick="createAlbum()">＋ 新增相簿</button>
+              </div>
+              <div class="album-actions" id="albumActions" style="display: none;">
+                  <button class="btn" onclick="renameAlbum()">✏️ 重新命名</button>
+                  <a class="btn btn-success" id="albumPublicLink" target="_blank">🔗 公開頁面</a>
+                  <button class="btn btn-danger" onclick="deleteAlbum()">🗑️ 刪除相簿</button>
+              </div>
+
+              <div class="album-item trash-item" id="trashItem" onclick="showTrash()">
+                  <span>🗑️ 垃圾桶</span>
+                  <span class="album-count" id="trashCount"></span>
+              </div>
+              <div class="album-item" id="similarItem" onclick="showSimilar()">
+                  <span>🔍 相似圖片</span>
+              </div>
+
+              <h3 class="tags-title normal-only">🏷️ 標籤</h3>
+              <div class="tag-list normal-only" id="tagList"></div>
+          </aside>
+
+          <div class="content">
+              <!-- 統計卡片 -->
+              <div class="stats">
+                  <div class="stat-card">
+                      <div class="stat-number" id="totalImages">${
+                        stats.totalImages
+                      }</div>
+                      <div>總圖片數</div>
+                  </div>
+                  <div class="stat-card">
+                      <div class="stat-number" id="totalSize">計算中...</div>
+                      <div>總容量</div>
+                  </div>
+                  <div class="stat-card">
+                      <div class="stat-number" id="todayUploads">計算中...</div>
+                      <div>今日上傳</div>
+                  </div>
+              </div>
+
+              <!-- 批量操作 -->
+              <div class="bulk-actions" id="bulkActions" style="display: none;">
+                  <span class="selected-count" id="selectedCount">已選擇 0 張圖片</span>
+                  <button class="btn btn-danger normal-only" onclick="deleteSelected()">🗑️ 刪除選中</button>
+                  <button class="btn btn-success trash-only" onclick="restoreSelected()">♻️ 還原選中</button>
+                  <button class="btn btn-danger trash-only" onclick="purgeSelected()">🗑️ 永久刪除選中</button>
+                  <button class="btn btn-primary" onclick="selectAll()">全選</button>
+                  <button class="btn" onclick="clearSelection()">取消選擇</button>
+                  <select id="moveAlbumSelect" class="sort-select normal-only">
+                      <option value="">移動到相簿...</option>
+                  </select>
+                  <button class="btn btn-primary normal-only" onclick="moveSelected()">📁 移動</button>
+                  <button class="btn normal-only" id="removeFromAlbumBtn" style="display: none;" onclick="removeSelectedFromAlbum()">移出相簿</button>
+                  <input type="text" id="bulkTagInput" class="sort-select normal-only" placeholder="標籤（以逗號分隔）">
+                  <button class="btn btn-primary normal-only" onclick="tagSelected('add')">🏷️ 加上標籤</button>
+                  <button class="btn normal-only" onclick="tagSelected('remove')">移除標籤</button>
+                  <button class="btn normal-only" onclick="setSelectedVisibility('public')">🌐 設為公開</button>
+                  <button class="btn normal-only" onclick="setSelectedVisibility('private')">🔒 設為私人</button>
+                  <button class="btn normal-only" onclick="renameSelected()">✏️ 重新命名</button>
+              </div>
+
+              <!-- 篩選和搜尋 -->
+              <div class="filters">
+                  <input type="text" id="searchInput" class="search-input" placeholder="🔍 搜尋檔名、標籤或說明...">
+                  <select id="sortSelect" class="sort-select">
+                      <option value="">預設排序（搜尋時依相關度）</option>
+                      <option value="newest">最新上傳</option>
+                      <option value="oldest">最舊上傳</option>
+                      <option value="name">檔名 A-Z</option>
+                      <option value="size">檔案大小</option>
+                  </select>
+                  <button class="btn btn-danger normal-only" onclick="confirmDeleteAll()">🗑️ 清空全部</button>
+                  <button class="btn btn-danger trash-only" onclick="confirmEmptyTrash()">🗑️ 清空垃圾桶</button>
+              </div>
+              <p class="trash-only image-meta">垃圾桶中的圖片不會公開，${trashRetentionDays} 天後會永久刪除。</p>
+              <p class="similar-only image-meta" id="similarNote"></p>
+              <div class="facet-bar" id="activeTags" style="display: none;"></div>
+              <div class="facet-bar" id="facetBar" style="display: none;"></div>
+
+              <!-- 圖片網格 -->
+              <div class="images-grid" id="imagesGrid"></div>
+              <div class="load-more" id="loadMore"></div>
+              <input type="file" id="replaceInput" accept="image/jpeg,image/png,image/gif,image/webp" style="display: none;" onchange="uploadReplacement(this)">
+          </div>
+          </div>
+
+          <script>
+              const PAGE_SIZE = 50;
+              let loadedImages = [];
+              let selectedImages = new Set();
+              let currentPage = 0;
+              let totalMatches = 0;
+              let hasMore = true;
+              let loading = false;
+              let generation = 0;
+              let albums = [];
+              let currentAlbumId = '';
+              let activeTags = [];
+              let viewingTrash = false;
+              // 相似圖片：clusters 是每組的圖片 id，similarTo 是只看和某張圖片相似時的那張圖片
+              const CLUSTER_PAGE_SIZE = 20;
+              let viewingSimilar = false;
+              let similarTo = null;
+              let clusters = [];
+              let pendingHashes = 0;
+              const RETENTION_DAYS = ${trashRetentionDays};
+              let allTags = [];
+              let facets = [];
+              let totalImages = ${stats.totalImages};
+
+              // 計算統計資料（由伺服器統計全部圖片）
+              async function calculateStats() {
+                  try {
+                      const startOfToday = new Date();
+                      startOfToday.setHours(0, 0, 0, 0);
+
+                      const [statsResponse, todayResponse, trashResponse] = await Promise.all([
+                          fetch('/api/stats'),
+                          fetch('/api/images?limit=1&from=' + encodeURIComponent(startOfToday.toISOString())),
+                          fetch('/api/trash?limit=1')
+                      ]);
+                      const stats = await statsResponse.json();
+                      const today = await todayResponse.json();
+                      const trash = await trashResponse.json();
+                      document.getElementById('trashCount').textContent = trash.total;
+
+                      totalImages = stats.totalImages;
+                      document.getElementById('totalImages').textContent = stats.totalImages;
+                      document.getElementById('totalSize').textContent = formatFileSize(stats.totalSize);
+                      document.getElementById('todayUploads').textContent = today.total;
+                  } catch (error) {
+                      console.error('讀取統計資料失敗:', error);
+                  }
+              }
+
+              function searchText() {
+                  return document.getElementById('searchInput').value.trim();
+              }
+
+              // 目前的搜尋和排序條件
+              function buildQuery(page) {
+                  // 相似圖片以群組分頁，不套用搜尋和篩選條件
+                  if (viewingSimilar) {
+                      return new URLSearchParams({ page: page, limit: CLUSTER_PAGE_SIZE }).toString();
+                  }
+                  const params = new URLSearchParams({
+                      page: page,
+                      limit: PAGE_SIZE
+                  });
+                  const sort = document.getElementById('sortSelect').value;
+                  if (sort) params.set('sort', sort);
+                  const q = searchText();
+                  if (q) params.set('q', q);
+                  if (currentAlbumId) params.set('albumId', currentAlbumId);
+                  if (activeTags.length > 0) params.set('tag', activeTags.join(','));
+                  return params.toString();
+              }
+
+              // 載入下一頁
+              async function loadNextPage() {
+                  if (loading || !hasMore) return;
+                  loading = true;
+                  updateLoadMore();
+
+                  const requestGeneration = generation;
+                  try {
+                      // 有關鍵字時用全文搜尋（比對檔名、標籤和說明），垃圾桶只比對檔名
+                      let endpoint = viewingTrash
+                          ? '/api/trash?'
+                          : searchText() ? '/api/search?' : '/api/images?';
+                      if (viewingSimilar) {
+                          endpoint = similarTo ? '/api/images/' + similarTo.id + '/similar?' : '/api/images/similar?';
+                      }
+                      const response = await fetch(endpoint + buildQuery(currentPage + 1));
+                      const data = await response.json();
+
+                      // 載入期間條件已改變，丟棄這次結果
+                      if (requestGeneration !== generation) return;
+
+                      if (!response.ok) {
+                          throw new Error(data.error);
+                      }
+
+                      currentPage = data.page;
+                      totalMatches = data.total;
+                      if (data.clusters) {
+                          clusters = clusters.concat(data.clusters.map(cluster => cluster.images.map(img => img.id)));
+                          loadedImages = loadedImages.concat(data.clusters.flatMap(cluster => cluster.images));
+                          pendingHashes = data.pending;
+                      } else if (similarTo) {
+                          // 和某張圖片相似時只有一組，第一張是那張圖片
+                          if (clusters.length === 0) {
+                              clusters = [[similarTo.id]];
+                              loadedImages = [similarTo];
+                          }
+                          clusters[0] = clusters[0].concat(data.images.map(img => img.id));
+                          loadedImages = loadedImages.concat(data.images);
+                      } else {
+                          loadedImages = loadedImages.concat(data.images);
+                      }
+                      hasMore = currentPage < data.totalPages;
+                      if (data.facets) {
+                          facets = data.facets.tags;
+                      }
+                      renderTagFilters();
+                      renderImages();
+                  } catch (error) {
+                      if (requestGeneration !== generation) return;
+                      alert('❌ 載入圖片失敗：' + error.message);
+                      hasMore = false;
+                  } finally {
+                      if (requestGeneration === generation) {
+                          loading = false;
+                          updateLoadMore();
+                          fillViewport();
+                      }
+                  }
+              }
+
+              // 第一頁不夠填滿畫面時，IntersectionObserver 不會再觸發，直接載入下一頁
+              function fillViewport() {
+                  const loadMore = document.getElementById('loadMore');
+                  if (hasMore && loadMore.getBoundingClientRect().top < window.innerHeight + 400) {
+                      loadNextPage();
+                  }
+              }
+
+              // 條件改變時從第一頁重新載入
+              function reloadImages() {
+                  generation++;
+                  loadedImages = [];
+                  clusters = [];
+                  currentPage = 0;
+                  totalMatches = 0;
+                  hasMore = true;
+                  loading = false;
+                  facets = [];
+                  renderTagFilters();
+                  renderImages();
+                  loadNextPage();
+              }
+
+              function updateLoadMore() {
+                  const loadMore = document.getElementById('loadMore');
+                  if (loading) {
+                      loadMore.textContent = '⏳ 載入中...';
+                  } else if (viewingSimilar) {
+                      const count = visibleClusters().length;
+                      loadMore.textContent = !hasMore && count > 0 ? \`已顯示全部 \${count} 組相似圖片\` : '';
+                  } else if (!hasMore && loadedImages.length > 0) {
+                      loadMore.textContent = \`已顯示全部 \${totalMatches} 張圖片\`;
+                  } else {
+                      loadMore.textContent = '';
+                  }
+              }
+
+              function escapeHtml(value) {
+                  return String(value).replace(/[&<>"']/g, (char) => ({
+                      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+                  })[char]);
+              }
+
+              // 載入相簿列表
+              async function loadAlbums() {
+                  try {
+                      const response = await fetch('/api/albums');
+                      albums = await response.json();
+                      if (!response.ok) throw new Error(albums.error);
+                  } catch (error) {
+                      console.error('讀取相簿失敗:', error);
+                      albums = [];
+                  }
+                  if (currentAlbumId && currentAlbumId !== 'none' && !albums.some(album => album.id === currentAlbumId)) {
+                      currentAlbumId = '';
+                  }
+                  renderAlbums();
+              }
+
+              function renderAlbums() {
+                  const items = [
+                      { id: '', name: '全部圖片', count: totalImages },
+                      { id: 'none', name: '未分類' },
+                      ...albums.map(album => ({ id: album.id, name: album.name, count: album.imageCount }))
+                  ];
+
+                  document.getElementById('albumList').innerHTML = items.map(item => \`
+                      <div class="album-item \${item.id === currentAlbumId ? 'active' : ''}" onclick="selectAlbum('\${item.id}')">
+                          <span>\${escapeHtml(item.name)}</span>
+                          <span class="album-count">\${item.count === undefined ? '' : item.count}</span>
+                      </div>
+                  \`).join('');
+
+                  document.getElementById('moveAlbumSelect').innerHTML =
+                      '<option value="">移動到相簿...</option>' +
+                      albums.map(album => \`<option value="\${album.id}">\${escapeHtml(album.name)}</option>\`).join('');
+
+                  const isAlbum = currentAlbumId && currentAlbumId !== 'none';
+                  document.getElementById('albumActions').style.display = isAlbum ? 'flex' : 'none';
+                  document.getElementById('removeFromAlbumBtn').style.display = isAlbum ? 'inline-block' : 'none';
+                  if (isAlbum) {
+                      document.getElementById('albumPublicLink').href = '/albums/' + currentAlbumId;
+                  }
+              }
+
+              // 載入所有標籤
+              async function loadTags() {
+                  try {
+                      const response = await fetch('/api/tags');
+                      allTags = await response.json();
+                      if (!response.ok) throw new Error(allTags.error);
+                  } catch (error) {
+                      console.error('讀取標籤失敗:', error);
+                      allTags = [];
+                  }
+                  renderTagFilters();
+              }
+
+              function tagChip(tag, count) {
+                  const active = activeTags.includes(tag);
+                  return \`<span class="tag-chip \${active ? 'active' : ''}" data-tag="\${escapeHtml(tag)}" onclick="toggleTagFilter(this.dataset.tag)">\${escapeHtml(tag)}\${count === undefined ? '' : \` (\${count})\`}</span>\`;
+              }
+
+              // 側邊欄的標籤列表、目前的標籤篩選和搜尋結果的標籤統計
+              function renderTagFilters() {
+                  document.getElementById('tagList').innerHTML = allTags.length > 0
+                      ? allTags.map(item => tagChip(item.tag, item.count)).join('')
+                      : '<span class="album-count">還沒有標籤</span>';
+
+                  const activeBar = document.getElementById('activeTags');
+                  activeBar.style.display = activeTags.length > 0 ? 'flex' : 'none';
+                  activeBar.innerHTML = '篩選標籤：' +
+                      activeTags.map(tag => tagChip(tag)).join('') +
+                      '<button class="btn" onclick="clearTagFilters()">清除</button>';
+
+                  const facetBar = document.getElementById('facetBar');
+                  const showFacets = searchText() && facets.length > 0;
+                  facetBar.style.display = showFacets ? 'flex' : 'none';
+                  facetBar.innerHTML = showFacets
+                      ? '相關標籤：' + facets.map(item => tagChip(item.tag, item.count)).join('')
+                      : '';
+              }
+
+              function toggleTagFilter(tag) {
+                  if (viewingSimilar) {
+                      currentAlbumId = '';
+                      setSimilarView(false);
+                      renderAlbums();
+                  }
+                  if (activeTags.includes(tag)) {
+                      activeTags = activeTags.filter(item => item !== tag);
+                  } else {
+                      activeTags.push(tag);
+                  }
+                  reloadImages();
+              }
+
+              function clearTagFilters() {
+                  activeTags = [];
+                  reloadImages();
+              }
+
+              // 編輯單張圖片的標籤和說明
+              async function editImage(id) {
+                  const image = loadedImages.find(img => img.id === id);
+                  if (!image) return;
+
+                  const tags = prompt('標籤（以逗號分隔）', image.tags.join(', '));
+                  if (tags === null) return;
+                  const description = prompt('說明', image.description || '');
+                  if (description === null) return;
+
+                  try {
+                      const result = await albumRequest(\`/api/images/\${id}\`, 'PUT', {
+                          tags: tags,
+                          description: description
+                      });
+                      Object.assign(image, result.image);
+                      loadTags();
+                      renderImages();
+                  } catch (error) {
+                      alert('❌ 更新失敗：' + error.message);
+                  }
+              }
+
+              // 切換公開 / 私人
+              async function toggleVisibility(id) {
+                  const index = loadedImages.findIndex(img => img.id === id);
+                  if (index === -1) return;
+
+                  const visibility = loadedImages[index].visibility === 'private' ? 'public' : 'private';
+                  try {
+                      const result = await albumRequest(\`/api/images/\${id}\`, 'PUT', { visibility: visibility });
+                      loadedImages[index] = result.image;
+                      renderImages();
+                  } catch (error) {
+                      alert('❌ 更新失敗：' + error.message);
+                  }
+              }
+
+              // 產生私人圖片的簽署網址並複製
+              async function createSignedUrl(id) {
+                  const hours = prompt('網址有效時間（小時，最多 168）', '24');
+                  if (hours === null) return;
+
+                  try {
+                      const result = await albumRequest(\`/api/images/\${id}/signed-url\`, 'POST', {
+                          expiresIn: Math.round(Number(hours) * 3600)
+                      });
+                      copyUrl(result.url);
+                  } catch (error) {
+                      alert('❌ 產生網址失敗：' + error.message);
+                  }
+              }
+
+              // 取代圖片內容：選擇檔案後上傳，網址不變
+              let replaceTargetId = null;
+
+              function replaceImage(id) {
+                  replaceTargetId = id;
+                  document.getElementById('replaceInput').click();
+              }
+
+              async function uploadReplacement(input) {
+                  const file = input.files[0];
+                  input.value = '';
+                  const index = loadedImages.findIndex(img => img.id === replaceTargetId);
+                  if (!file || index === -1) return;
+
+                  const image = loadedImages[index];
+                  if (!confirm(\`確定要用「\${file.name}」取代「\${image.originalName}」嗎？\\n\\n網址不變，目前的內容會保留為舊版本，之後可以還原。\`)) {
+                      return;
+                  }
+
+                  const formData = new FormData();
+                  formData.append('image', file);
+                  try {
+                      const response = await fetch(\`/api/images/\${image.id}/replace\`, {
+                          method: 'POST',
+                          body: formData
+                      });
+                      const result = await response.json();
+                      if (!response.ok) {
+                          throw new Error(result.error);
+                      }
+                      loadedImages[index] = result.image;
+                      renderImages();
+                      alert('✅ ' + result.message);
+                  } catch (error) {
+                      alert('❌ 取代失敗：' + error.message);
+                  }
+              }
+
+              // 列出舊版本，輸入版本編號還原
+              async function showVersions(id) {
+                  const index = loadedImages.findIndex(img => img.id === id);
+                  if (index === -1) return;
+
+                  try {
+                      const result = await albumRequest(\`/api/images/\${id}/versions\`, 'GET');
+                      if (result.versions.length === 0) {
+                          alert('沒有舊版本');
+                          return;
+                      }
+                      const lines = result.versions.map(version =>
+                          \`第 \${version.version} 版：\${new Date(version.createdTime).toLocaleString('zh-TW')}，\${formatFileSize(version.size)}\${version.width ? \` · \${version.width} × \${version.height}\` : ''}\`
+                      );
+                      const input = prompt(\`目前是第 \${result.currentVersion} 版，舊版本：\\n\\n\${lines.join('\\n')}\\n\\n輸入要還原的版本編號：\`);
+                      if (!input || !input.trim()) return;
+
+                      const restored = await albumRequest(
+                          \`/api/images/\${id}/versions/\${encodeURIComponent(input.trim())}/rollback\`,
+                          'POST'
+                      );
+                      loadedImages[index] = restored.image;
+                      renderImages();
+                      alert('✅ ' + restored.message);
+                  } catch (error) {
+                      alert('❌ 還原失敗：' + error.message);
+                  }
+              }
+
+              // 幫選中的圖片加上或移除標籤
+              async function tagSelected(action) {
+                  const tags = document.getElementById('bulkTagInput').value;
+                  if (!tags.trim()) {
+                      alert('請先輸入標籤');
+                      return;
+                  }
+
+                  try {
+                      const result = await bulkRequest({ action: 'tag', [action]: tags });
+                      document.getElementById('bulkTagInput').value = '';
+                      await loadTags();
+                      reloadImages();
+                      alert(bulkSummary(result, \`已更新 \${result.succeeded} 張圖片的標籤\`));
+                  } catch (error) {
+                      alert('❌ 更新標籤失敗：' + error.message);
+                  }
+              }
+
+              // 把選中的圖片設為公開或私人
+              async function setSelectedVisibility(visibility) {
+                  try {
+                      const result = await bulkRequest({ action: 'visibility', visibility: visibility });
+                      result.results.filter(item => item.success).forEach(item => {
+                          const image = loadedImages.find(img => img.id === item.id);
+                          if (image) image.visibility = visibility;
+                      });
+                      renderImages();
+                      alert(bulkSummary(result, \`已把 \${result.succeeded} 張圖片設為\${visibility === 'private' ? '私人' : '公開'}\`));
+                  } catch (error) {
+                      alert('❌ 更新失敗：' + error.message);
+                  }
+              }
+
+              // 重新命名選中的圖片：依目前的順序加上編號，保留原本的副檔名
+              async function renameSelected() {
+                  const baseName = prompt('新的名稱（會依序加上編號）');
+                  if (!baseName || !baseName.trim()) return;
+
+                  const items = loadedImages
+                      .filter(img => selectedImages.has(img.id))
+                      .map((img, index) => {
+                          const ext = (img.originalName.match(/\\.[^.]+$/) || [''])[0];
+                          return { id: img.id, originalName: \`\${baseName.trim()}-\${index + 1}\${ext}\` };
+                      });
+                  try {
+                      const result = await albumRequest('/api/images/bulk', 'POST', { action: 'rename', items: items });
+                      reloadImages();
+                      alert(bulkSummary(result, \`已重新命名 \${result.succeeded} 張圖片\`));
+                  } catch (error) {
+                      alert('❌ 重新命名失敗：' + error.message);
+                  }
+              }
+
+              // 對選中的圖片執行批次操作，回傳每張圖片的結果
+              function bulkRequest(body) {
+                  return albumRequest('/api/images/bulk', 'POST', { ...body, ids: Array.from(selectedImages) });
+              }
+
+              // 取消選擇已經成功的圖片，失敗的保留選擇以便重試
+              function deselectSucceeded(result) {
+                  result.results.filter(item => item.success).forEach(item => selectedImages.delete(item.id));
+                  updateSelectionUI();
+              }
+
+              // 批次操作的結果訊息，有失敗時列出圖片和原因
+              function bulkSummary(result, message) {
+                  if (result.failed === 0) return '✅ ' + message;
+
+                  const failures = result.results.filter(item => !item.success);
+                  const lines = failures.slice(0, 10).map(item => {
+                      const image = loadedImages.find(img => img.id === item.id);
+                      return \`・\${image ? image.originalName : item.id}：\${item.error}\`;
+                  });
+                  if (failures.length > lines.length) {
+                      lines.push(\`…還有 \${failures.length - lines.length} 張\`);
+                  }
+                  return \`⚠️ \${result.message}\\n\\n\${lines.join('\\n')}\`;
+              }
+
+              function albumName(albumId) {
+                  const album = albums.find(album => album.id === albumId);
+                  return album ? album.name : '';
+              }
+
+              // 切換相簿
+              function selectAlbum(albumId) {
+                  currentAlbumId = albumId;
+                  setTrashView(false);
+                  setSimilarView(false);
+                  selectedImages.clear();
+                  updateSelectionUI();
+                  renderAlbums();
+                  reloadImages();
+              }
+
+              // 切換到垃圾桶
+              function showTrash() {
+                  currentAlbumId = null;
+                  activeTags = [];
+                  setTrashView(true);
+                  setSimilarView(false);
+                  selectedImages.clear();
+                  updateSelectionUI();
+                  renderAlbums();
+                  reloadImages();
+              }
+
+              // 切換到相似圖片，imageId 有提供時只顯示和這張圖片相似的
+              function showSimilar(imageId) {
+                  const image = imageId && loadedImages.find(img => img.id === imageId);
+                  similarTo = image ? { ...image, distance: undefined } : null;
+                  currentAlbumId = null;
+                  activeTags = [];
+                  setTrashView(false);
+                  setSimilarView(true);
+                  selectedImages.clear();
+                  updateSelectionUI();
+                  renderAlbums();
+                  reloadImages();
+              }
+
+              function setSimilarView(value) {
+                  viewingSimilar = value;
+                  if (!value) similarTo = null;
+                  document.body.classList.toggle('similar-view', value);
+                  document.getElementById('similarItem').classList.toggle('active', value && !similarTo);
+              }
+
+              function setTrashView(value) {
+                  viewingTrash = value;
+                  document.body.classList.toggle('trash-view', value);
+                  document.getElementById('trashItem').classList.toggle('active', value);
+              }
+
+              async function albumRequest(url, method, body) {
+                  const response = await fetch(url, {
+                      method: method,
+                      headers: { 'Content-Type': 'application/json' },
+                      body: body ? JSON.stringify(body) : undefined
+                  });
+                  const result = await response.json();
+                  if (!response.ok) throw new Error(result.error);
+                  return result;
+              }
+
+              // 新增相簿
+              async function createAlbum() {
+                  const name = prompt('相簿名稱');
+                  if (!name || !name.trim()) return;
+
+                  try {
+                      const result = await albumRequest('/api/albums', 'POST', { name: name.trim() });
+                      await loadAlbums();
+                      selectAlbum(result.album.id);
+                  } catch (error) {
+                      alert('❌ 新增相簿失敗：' + error.message);
+                  }
+              }
+
+              // 重新命名目前的相簿
+              async function renameAlbum() {
+                  const name = prompt('新的相簿名稱', albumName(currentAlbumId));
+                  if (!name || !name.trim()) return;
+
+                  try {
+                      await albumRequest(\`/api/albums/\${currentAlbumId}\`, 'PUT', { name: name.trim() });
+                      await loadAlbums();
+                  } catch (error) {
+                      alert('❌ 重新命名失敗：' + error.message);
+                  }
+              }
+
+              // 刪除目前的相簿（圖片會變成未分類）
+              async function deleteAlbum() {
+                  if (!confirm(\`確定要刪除相簿「\${albumName(currentAlbumId)}」嗎？\\n\\n相簿中的圖片不會被刪除，會移到「未分類」。\`)) {
+                      return;
+                  }
+
+                  try {
+                      await albumRequest(\`/api/albums/\${currentAlbumId}\`, 'DELETE');
+                      currentAlbumId = '';
+                      await loadAlbums();
+                      reloadImages();
+                  } catch (error) {
+                      alert('❌ 刪除相簿失敗：' + error.message);
+                  }
+              }
+
+              // 把選中的圖片移動到相簿
+              async function moveSelected() {
+                  const albumId = document.getElementById('moveAlbumSelect').value;
+                  if (!albumId) {
+                      alert('請先選擇目標相簿');
+                      return;
+                  }
+
+                  try {
+                      const result = await bulkRequest({ action: 'move', albumId: albumId });
+                      deselectSucceeded(result);
+                      await loadAlbums();
+                      reloadImages();
+                      alert(bulkSummary(result, \`已把 \${result.succeeded} 張圖片移到相簿\`));
+                  } catch (error) {
+                      alert('❌ 移動失敗：' + error.message);
+                  }
+              }
+
+              // 把選中的圖片移出目前的相簿
+              async function removeSelectedFromAlbum() {
+                  try {
+                      const result = await bulkRequest({ action: 'move', albumId: null });
+                      deselectSucceeded(result);
+                      await loadAlbums();
+                      reloadImages();
+                      alert(bulkSummary(result, \`已把 \${result.succeeded} 張圖片移出相簿\`));
+                  } catch (error) {
+                      alert('❌ 移出相簿失敗：' + error.message);
+                  }
+              }
+
+              // 從已載入的列表移除圖片
+              function removeLoadedImages(ids) {
+                  const before = loadedImages.length;
+                  loadedImages = loadedImages.filter(img => !ids.has(img.id));
+                  totalMatches -= before - loadedImages.length;
+                  ids.forEach(id => selectedImages.delete(id));
+              }
+
+              // 格式化檔案大小
+              function formatFileSize(bytes) {
+                  if (bytes === 0) return '0 B';
+                  const k = 1024;
+                  const sizes = ['B', 'KB', 'MB', 'GB'];
+                  const i = Math.floor(Math.log(bytes) / Math.log(k));
+                  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+              }
+
+              // 內容被取代過的圖片在網址加上版本編號，避免瀏覽器顯示快取中的舊內容
+              function versionedUrl(img, query) {
+                  const params = [query, img.replacedTime ? 'v=' + img.version : ''].filter(Boolean);
+                  return params.length > 0 ? img.url + '?' + params.join('&') : img.url;
+              }
+
+              // 卡片使用縮圖，避免載入完整原圖
+              function thumbnailUrl(img) {
+                  return versionedUrl(img, 'w=600&h=400&fit=cover&format=webp&q=75');
+              }
+
+              // 更新選擇狀態
+              function updateSelectionUI() {
+                  const count = selectedImages.size;
+                  const bulkActions = document.getElementById('bulkActions');
+                  const selectedCount = document.getElementById('selectedCount');
+                  
+                  if (count > 0) {
+                      bulkActions.style.display = 'flex';
+                      selectedCount.textContent = \`已選擇 \${count} 張圖片\`;
+                  } else {
+                      bulkActions.style.display = 'none';
+                  }
+              }
+
+              // 切換圖片選擇狀態
+              function toggleImageSelection(imageId) {
+                  if (selectedImages.has(imageId)) {
+                      selectedImages.delete(imageId);
+                  } else {
+                      selectedImages.add(imageId);
+                  }
+                  updateSelectionUI();
+                  renderImages();
+              }
+
+              // 全選
+              function selectAll() {
+                  loadedImages.forEach(img => selectedImages.add(img.id));
+                  updateSelectionUI();
+                  renderImages();
+              }
+
+              // 清除選擇
+              function clearSelection() {
+                  selectedImages.clear();
+                  updateSelectionUI();
+                  renderImages();
+              }
+
+              // 渲染圖片
+              function renderImages() {
+                  const grid = document.getElementById('imagesGrid');
+                  if (viewingSimilar) {
+                      renderClusters(grid);
+                      return;
+                  }
+                  
+                  if (loadedImages.length === 0) {
+                      if (hasMore) {
+                          grid.innerHTML = '';
+                          return;
+                      }
+                      if (viewingTrash && !searchText()) {
+                          grid.innerHTML = \`
+                              <div class="empty-state">
+                                  <div style="font-size: 4em;">🗑️</div>
+                                  <h3>垃圾桶是空的</h3>
+                              </div>
+                          \`;
+                          return;
+                      }
+                      if (!viewingTrash && totalImages === 0) {
+                          grid.innerHTML = \`
+                              <div class="empty-state">
+                                  <div style="font-size: 4em;">📷</div>
+                                  <h3>還沒有圖片</h3>
+                                  <p>去 <a href="/">上傳頁面</a> 開始上傳你的第一張圖片吧！</p>
+                              </div>
+                          \`;
+                          return;
+                      }
+                      grid.innerHTML = \`
+                          <div class="empty-state">
+                              <div style="font-size: 4em;">🔍</div>
+                              <h3>沒有找到符合的圖片</h3>
+                              <p>試試其他搜尋關鍵字或調整篩選條件</p>
+                          </div>
+                      \`;
+                      return;
+                  }
+
+                  grid.innerHTML = loadedImages.map(imageCard).join('');
+              }
+
+              // 目前顯示的相似圖片群組，刪除後只剩一張的群組不再顯示
+              function visibleClusters() {
+                  const byId = new Map(loadedImages.map(img => [img.id, img]));
+                  return clusters
+                      .map(ids => ids.map(id => byId.get(id)).filter(Boolean))
+                      .filter(images => images.length > 1);
+              }
+
+              // 相似圖片依群組顯示，可以用「選擇其他」搭配批次操作刪除重複的圖片
+              function renderClusters(grid) {
+                  document.getElementById('similarNote').textContent = similarTo
+                      ? \`和「\${similarTo.originalName}」看起來相似的圖片，依差異由小到大排列。\`
+                      : '依感知雜湊找出重新存檔、縮放或重新壓縮過的圖片，每組第一張是解析度最高的。' +
+                        (pendingHashes > 0 ? \`還有 \${pendingHashes} 張較早上傳的圖片正在計算，稍後重新整理即可加入比對。\` : '');
+
+                  const groups = visibleClusters();
+                  if (groups.length === 0) {
+                      grid.innerHTML = hasMore ? '' : \`
+                          <div class="empty-state">
+                              <div style="font-size: 4em;">🔍</div>
+                              <h3>沒有找到相似的圖片</h3>
+                          </div>
+                      \`;
+                      return;
+                  }
+
+                  grid.innerHTML = groups.map((images, index) => \`
+                      <div class="cluster-header">
+                          <strong>\${similarTo ? '相似圖片' : \`第 \${index + 1} 組\`} · \${images.length} 張</strong>
+                          <button class="btn" onclick="selectClusterCopies(\${index})">☑️ 選擇第一張以外的 \${images.length - 1} 張</button>
+                      </div>
+                      \${images.map(imageCard).join('')}
+                  \`).join('');
+              }
+
+              // 選擇群組中第一張以外的圖片，再用批次操作刪除或移動
+              function selectClusterCopies(index) {
+                  visibleClusters()[index].slice(1).forEach(img => selectedImages.add(img.id));
+                  updateSelectionUI();
+                  renderImages();
+              }
+
+              // 圖片卡片
+              function imageCard(img) {
+                  return \`
+                      <div class="image-card \${selectedImages.has(img.id) ? 'selected' : ''}" data-id="\${img.id}" 
+                           style="\${selectedImages.has(img.id) ? 'border-color: #007bff; box-shadow: 0 0 0 2px rgba(0,123,255,0.25);' : ''}">
+                          <div style="position: relative;">
+                              <input type="checkbox" class="checkbox" 
+                                     style="position: absolute; top: 10px; left: 10px; z-index: 10;"
+                                     \${selectedImages.has(img.id) ? 'checked' : ''} 
+                                     onchange="toggleImageSelection('\${img.id}')">
+                              <img src="\${thumbnailUrl(img)}" alt="\${escapeHtml(img.originalName)}" class="image-preview" loading="lazy" 
+                                   onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjBmMGYwIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPuWcluePh+eEoeazleS4reWFpTwvdGV4dD48L3N2Zz4='">
+                          </div>
+                          <div class="image-info">
+                              <div class="image-name">\${img.visibility === 'private' ? '🔒 ' : ''}\${escapeHtml(img.originalName)}</div>
+                              \${img.distance !== undefined ? \`<div class="image-meta">🔍 差異 \${img.distance} / 64</div>\` : ''}
+                              \${img.fileStatus ? \`<div class="image-meta file-status">⚠️ \${img.fileStatus === 'missing' ? '檔案遺失' : '檔案損毀'}，請取代成新的檔案</div>\` : ''}
+                              <div class="image-meta">📅 \${new Date(img.uploadTime).toLocaleString('zh-TW')}</div>
+                              <div class="image-meta">📏 \${formatFileSize(img.size || 0)}\${img.width ? \` · \${img.width} × \${img.height}\` : ''}</div>
+                              \${img.cameraMake || img.cameraModel ? \`<div class="image-meta">📷 \${escapeHtml([img.cameraMake, img.cameraModel].filter(Boolean).join(' '))}</div>\` : ''}
+                              \${img.takenAt ? \`<div class="image-meta">🕒 拍攝於 \${new Date(img.takenAt).toLocaleString('zh-TW')}</div>\` : ''}
+                              \${img.colorProfile ? \`<div class="image-meta">🎨 \${escapeHtml(img.colorProfile)}</div>\` : ''}
+                              \${img.expiresAt ? \`<div class="image-meta">⏰ \${new Date(img.expiresAt).toLocaleString('zh-TW')} 後自動刪除</div>\` : ''}
+                              \${img.deletedAt ? \`<div class="image-meta">🗑️ 刪除於 \${new Date(img.deletedAt).toLocaleString('zh-TW')}，\${new Date(img.purgeTime).toLocaleDateString('zh-TW')} 永久刪除</div>\` : ''}
+                              \${img.albumId ? \`<div class="image-meta">📁 \${escapeHtml(albumName(img.albumId))}</div>\` : ''}
+                              \${img.description ? \`<div class="image-description">\${escapeHtml(img.description)}</div>\` : ''}
+                              \${img.tags.length > 0 ? \`<div class="tag-chips">\${img.tags.map(tag => tagChip(tag)).join('')}</div>\` : ''}
+                              <div class="image-url">\${img.url}</div>
+                              <div class="image-actions">\${img.deletedAt ? \`
+                                  <a href="\${img.url}" target="_blank" class="btn btn-success">👀 查看原圖</a>
+                                  <button class="btn btn-primary" onclick="restoreImage('\${img.id}')">♻️ 還原</button>
+                                  <button class="btn btn-danger" data-id="\${img.id}" data-name="\${escapeHtml(img.originalName)}" onclick="purgeImage(this.dataset.id, this.dataset.name)">🗑️ 永久刪除</button>
+                              \` : \`
+                                  <button class="btn btn-primary" onclick="copyUrl('\${img.url}')">📋 複製網址</button>
+                                  <select class="btn" onchange="copySnippet('\${img.id}', this.value); this.value = '';">
+                                      <option value="">🧩 複製嵌入碼</option>
+                                      <option value="img">HTML（img srcset）</option>
+                                      <option value="picture">HTML（picture）</option>
+                                      <option value="markdown">Markdown</option>
+                                  </select>
+                                  <a href="\${versionedUrl(img)}" target="_blank" class="btn btn-success">👀 查看原圖</a>
+                                  <button class="btn" onclick="editImage('\${img.id}')">🏷️ 編輯</button>
+                                  <button class="btn" onclick="replaceImage('\${img.id}')">🔄 取代</button>
+                                  \${img.replacedTime ? \`<button class="btn" onclick="showVersions('\${img.id}')">🕘 版本（第 \${img.version} 版）</button>\` : ''}
+                                  <button class="btn" onclick="toggleVisibility('\${img.id}')">\${img.visibility === 'private' ? '🌐 設為公開' : '🔒 設為私人'}</button>
+                                  \${img.visibility === 'private' ? \`<button class="btn" onclick="createSignedUrl('\${img.id}')">🔗 簽署網址</button>\` : ''}
+                                  <button class="btn" onclick="showSimilar('\${img.id}')">🔍 相似圖片</button>
+                                  <button class="btn btn-danger" data-id="\${img.id}" data-name="\${escapeHtml(img.originalName)}" onclick="deleteImage(this.dataset.id, this.dataset.name)">🗑️ 刪除</button>
+                              \`}</div>
+                          </div>
+                      </div>
+                  \`;
+              }
+
+              // 搜尋功能（由伺服器搜尋，輸入停止後才送出）
+              let searchTimer = null;
+              document.getElementById('searchInput').addEventListener('input', function() {
+                  clearTimeout(searchTimer);
+                  searchTimer = setTimeout(reloadImages, 300);
+              });
+
+              // 排序功能
+              document.getElementById('sortSelect').addEventListener('change', reloadImages);
+
+              // 無限捲動：捲到底部時載入下一頁
+              new IntersectionObserver((entries) => {
+                  if (entries[0].isIntersecting) {
+                      loadNextPage();
+                  }
+              }, { rootMargin: '400px' }).observe(document.getElementById('loadMore'));
+
+              // 複製網址
+              function copyUrl(url) {
+                  copyText(url, '✅ 網址已複製到剪貼簿！');
+              }
+
+              function copyText(text, message) {
+                  navigator.clipboard.writeText(text).then(() => {
+                      alert(message);
+                  }).catch(() => {
+                      // 備用方案
+                      const textArea = document.createElement('textarea');
+                      textArea.value = text;
+                      document.body.appendChild(textArea);
+                      textArea.select();
+                      document.execCommand('copy');
+                      document.body.removeChild(textArea);
+                      alert(message);
+                  });
+              }
+
+              // 複製 HTML 或 Markdown 嵌入碼（包含響應式版本）
+              async function copySnippet(id, type) {
+                  if (!type) return;
+                  try {
+                      const response = await fetch(\`/api/images/\${id}/snippets\`);
+                      const result = await response.json();
+                      if (!response.ok) {
+                          throw new Error(result.error);
+                      }
+                      copyText(result.snippets[type], '✅ 嵌入碼已複製到剪貼簿！');
+                  } catch (error) {
+                      alert('❌ 讀取嵌入碼失敗：' + error.message);
+                  }
+              }
+
+              // 刪除單張圖片
+              async function deleteImage(id, name) {
+                  if (!confirm(\`確定要刪除「\${name}」嗎？\\n\\n圖片會移到垃圾桶，\${RETENTION_DAYS} 天後永久刪除。\`)) {
+                      return;
+                  }
+
+                  try {
+                      const response = await fetch(\`/api/images/\${id}\`, {
+                          method: 'DELETE'
+                      });
+
+                      const result = await response.json();
+                      
+                      if (response.ok) {
+                          // 從陣列中移除
+                          removeLoadedImages(new Set([id]));
+                          
+                          // 更新統計和重新渲染
+                          await calculateStats();
+                          loadAlbums();
+                          loadTags();
+                          updateSelectionUI();
+                          renderImages();
+                          
+                          alert('✅ 圖片已移到垃圾桶！');
+                      } else {
+                          alert('❌ 刪除失敗：' + result.error);
+                      }
+                  } catch (error) {
+                      alert('❌ 刪除失敗：' + error.message);
+                  }
+              }
+
+              // 刪除選中的圖片
+              async function deleteSelected() {
+                  if (selectedImages.size === 0) {
+                      alert('請先選擇要刪除的圖片');
+                      return;
+                  }
+
+                  if (!confirm(\`確定要刪除選中的 \${selectedImages.size} 張圖片嗎？\\n\\n圖片會移到垃圾桶，\${RETENTION_DAYS} 天後永久刪除。\`)) {
+                      return;
+                  }
+
+                  try {
+                      const result = await bulkRequest({ action: 'delete' });
+                      const deletedIds = new Set(
+                          result.results.filter(item => item.success).map(item => item.id)
+                      );
+
+                      // 從陣列中移除已刪除的圖片，失敗的保留選擇
+                      removeLoadedImages(deletedIds);
+
+                      // 更新統計和重新渲染
+                      await calculateStats();
+                      loadAlbums();
+                      loadTags();
+                      updateSelectionUI();
+                      renderImages();
+
+                      alert(bulkSummary(result, \`已把 \${deletedIds.size} 張圖片移到垃圾桶！\`));
+                  } catch (error) {
+                      alert('❌ 批量刪除失敗：' + error.message);
+                  }
+              }
+
+              // 清空全部圖片
+              async function confirmDeleteAll() {
+                  if (totalImages === 0) {
+                      alert('沒有圖片可以刪除');
+                      return;
+                  }
+
+                  if (!confirm(\`確定要刪除全部 \${totalImages} 張圖片嗎？\\n\\n圖片會移到垃圾桶，\${RETENTION_DAYS} 天後永久刪除。\`)) {
+                      return;
+                  }
+
+                  try {
+                      const response = await fetch('/api/images/clear-all', {
+                          method: 'DELETE'
+                      });
+
+                      const result = await response.json();
+                      
+                      if (response.ok) {
+                          selectedImages.clear();
+                          
+                          // 更新統計和重新渲染
+                          await calculateStats();
+                          loadAlbums();
+                          loadTags();
+                          updateSelectionUI();
+                          reloadImages();
+                          
+                          alert('✅ 已把全部圖片移到垃圾桶！');
+                      } else {
+                          alert('❌ 清空失敗：' + result.error);
+                      }
+                  } catch (error) {
+                      alert('❌ 清空失敗：' + error.message);
+                  }
+              }
+
+              // 垃圾桶的操作完成後更新畫面
+              async function afterTrashChange(ids) {
+                  removeLoadedImages(ids);
+                  ids.forEach(id => selectedImages.delete(id));
+                  await calculateStats();
+                  loadAlbums();
+                  loadTags();
+                  updateSelectionUI();
+                  renderImages();
+              }
+
+              async function trashRequest(url, method, body) {
+                  const response = await fetch(url, {
+                      method: method,
+                      headers: body ? { 'Content-Type': 'application/json' } : {},
+                      body: body ? JSON.stringify(body) : undefined
+                  });
+                  const result = await response.json();
+                  if (!response.ok) {
+                      throw new Error(result.error);
+                  }
+                  return result;
+              }
+
+              // 還原單張圖片
+              async function restoreImage(id) {
+                  try {
+                      await trashRequest(\`/api/trash/\${id}/restore\`, 'POST');
+                      await afterTrashChange(new Set([id]));
+                  } catch (error) {
+                      alert('❌ 還原失敗：' + error.message);
+                  }
+              }
+
+              // 永久刪除單張圖片
+              async function purgeImage(id, name) {
+                  if (!confirm(\`確定要永久刪除「\${name}」嗎？\\n\\n⚠️ 此操作無法復原！\`)) {
+                      return;
+                  }
+
+                  try {
+                      await trashRequest(\`/api/trash/\${id}\`, 'DELETE');
+                      await afterTrashChange(new Set([id]));
+                  } catch (error) {
+                      alert('❌ 刪除失敗：' + error.message);
+                  }
+              }
+
+              // 還原選中的圖片
+              async function restoreSelected() {
+                  if (selectedImages.size === 0) {
+                      alert('請先選擇要還原的圖片');
+                      return;
+                  }
+
+                  try {
+                      const result = await trashRequest('/api/trash/restore', 'POST', {
+                          ids: Array.from(selectedImages)
+                      });
+                      await afterTrashChange(new Set(selectedImages));
+                      alert('✅ ' + result.message);
+                  } catch (error) {
+                      alert('❌ 還原失敗：' + error.message);
+                  }
+              }
+
+              // 永久刪除選中的圖片
+              async function purgeSelected() {
+                  if (selectedImages.size === 0) {
+                      alert('請先選擇要刪除的圖片');
+                      return;
+                  }
+
+                  if (!confirm(\`確定要永久刪除選中的 \${selectedImages.size} 張圖片嗎？\\n\\n⚠️ 此操作無法復原！\`)) {
+                      return;
+                  }
+
+                  try {
+                      const result = await trashRequest('/api/trash/purge', 'POST', {
+                          ids: Array.from(selectedImages)
+                      });
+                      await afterTrashChange(new Set(selectedImages));
+                      alert('✅ ' + result.message);
+                  } catch (error) {
+                      alert('❌ 刪除失敗：' + error.message);
+                  }
+              }
+
+              // 清空垃圾桶
+              async function confirmEmptyTrash() {
+                  if (!confirm('確定要清空垃圾桶嗎？\\n\\n⚠️ 垃圾桶中的圖片會永久刪除，此操作無法復原！')) {
+                      return;
+                  }
+
+                  try {
+                      const result = await trashRequest('/api/trash', 'DELETE');
+                      selectedImages.clear();
+                      await calculateStats();
+                      updateSelectionUI();
+                      reloadImages();
+                      alert('✅ ' + result.message);
+                  } catch (error) {
+                      alert('❌ 清空失敗：' + error.message);
+                  }
+              }
+
+              // 登出
+              async function logout() {
+                  await fetch('/logout', { method: 'POST' });
+                  window.location.href = '/login';
+              }
+
+              // 初始化
+              calculateStats();
+              loadAlbums();
+              loadTags();
+              loadNextPage();
+          </script>
+      </body>
+      </html>
+  `);
+});
+
+// 公開相簿頁面（不需要登入）
+app.get("/albums/:id", (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  let album;
+  let result;
+  try {
+    album = albumRepo.findById(req.params.id);
+    if (!album) {
+      return res.status(404).send("相簿不存在");
+    }
+    // 公開相簿只顯示公開的圖片
+    result = imageRepo.query(
+      parseListQuery({
+        albumId: album.id,
+        visibility: "public",
+        page,
+        limit: 60,
+        sort: "newest",
+      })
+    );
+  } catch (error) {
+    console.error("讀取相簿資料失敗:", error);
+    return res.status(500).send("讀取相簿資料失敗");
+  }
+
+  const totalPages = Math.ceil(result.total / 60);
+
+  res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <title>${escapeHtml(album.name)} - 圖片託管服務</title>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <style>
+              * { box-sizing: border-box; }
+              body { 
+                  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+                  max-width: 1200px; 
+                  margin: 0 auto; 
+                  padding: 20px; 
+                  background: #f5f5f5;
+              }
+              .header { 
+                  background: white; 
+                  padding: 20px; 
+                  border-radius: 8px; 
+                  margin-bottom: 20px; 
+                  box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+              }
+              .header p { color: #666; margin: 0; }
+              .gallery { 
+                  display: grid; 
+                  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); 
+                  gap: 12px; 
+              }
+              .gallery a { 
+                  display: block; 
+                  border-radius: 8px; 
+                  overflow: hidden; 
+                  background: white;
+                  box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+              }
+              .gallery img { 
+                  width: 100%; 
+                  height: 220px; 
+                  object-fit: cover; 
+                  display: block; 
+              }
+              .pagination { 
+                  display: flex; 
+                  gap: 10px; 
+                  justify-content: center; 
+                  margin-top: 20px; 
+              }
+              .pagination a { 
+                  padding: 8px 16px; 
+                  background: #007bff; 
+                  color: white; 
+                  border-radius: 4px; 
+                  text-decoration: none; 
+              }
+              .empty-state { 
+                  text-align: center; 
+                  padding: 60px 20px; 
+                  color: #666;
+              }
+          </style>
+      </head>
+      <body>
+          <div class="header">
+              <h1>📁 ${escapeHtml(album.name)}</h1>
+              <p>${result.total} 張圖片</p>
+          </div>
+
+          ${
+            result.images.length === 0
+              ? `<div class="empty-state"><h3>這個相簿還沒有圖片</h3></div>`
+              : `<div class="gallery">
+              ${withUrls(req, result.images)
+                .map(
+                  (image) => `
+                  <a href="${escapeHtml(image.url)}" target="_blank">
+                      <img src="${escapeHtml(image.url)}?w=440&h=440&fit=cover&format=webp&q=75" alt="${escapeHtml(image.originalName)}" loading="lazy">
+                  </a>`
+                )
+                .join("")}
+          </div>`
+          }
+
+          <div class="pagination">
+              ${page > 1 ? `<a href="?page=${page - 1}">← 上一頁</a>` : ""}
+              ${page < totalPages ? `<a href="?page=${page + 1}">下一頁 →</a>` : ""}
+          </div>
+      </body>
+      </html>
+  `);
+});
+
+// API: 獲取圖片資訊（分頁、搜尋、篩選和排序）
+app.get("/api/images", auth.requireScope("read"), (req, res) => {
+  let options;
+  try {
+    options = parseListQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { images, total } = imageRepo.query(options);
+    res.json({
+      images: withUrls(req, images),
+      total,
+      page: options.page,
+      limit: options.limit,
+      totalPages: Math.ceil(total / options.limit),
+    });
+  } catch (error) {
+    res.status(500).json({ error: "讀取圖片資料失敗" });
+  }
+});
+
+// API: 全文搜尋檔名、標籤和說明，依相關度排序並附上標籤統計
+app.get("/api/search", auth.requireScope("read"), (req, res) => {
+  let options;
+  try {
+    options = parseSearchQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { images, total, facets } = imageRepo.search(options);
+    res.json({
+      images: withUrls(req, images),
+      total,
+      page: options.page,
+      limit: options.limit,
+      totalPages: Math.ceil(total / options.limit),
+      facets,
+    });
+  } catch (error) {
+    res.status(500).json({ error: "搜尋失敗" });
+  }
+});
+
+// API: 所有標籤和使用次數
+app.get("/api/tags", auth.requireScope("read"), (req, res) => {
+  try {
+    res.json(imageRepo.listTags());
+  } catch (error) {
+    res.status(500).json({ error: "讀取標籤失敗" });
+  }
+});
+
+// API: 批次加上或移除標籤
+app.post("/api/images/tags", auth.requireScope("upload"), (req, res) => {
+  const ids = getImageIds(req.body);
+  if (!ids) {
+    return res.status(400).json({ error: "請提供圖片ID陣列" });
+  }
+
+  let add;
+  let remove;
+  try {
+    add = normalizeTags(req.body.add);
+    remove = normalizeTags(req.body.remove);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (add.length === 0 && remove.length === 0) {
+    return res.status(400).json({ error: "請提供要加上或移除的標籤" });
+  }
+
+  try {
+    const updated = imageRepo.updateTags(ids, { add, remove });
+    emitImageEvent("image.updated", updated);
+    res.json({
+      success: true,
+      message: `已更新 ${updated.length} 張圖片的標籤`,
+      updatedCount: updated.length,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// 批次操作依 action 需要不同的權限：delete 需要 delete 權限並計入刪除操作的限流，其他需要 upload
+function isBulkDelete(req) {
+  return Boolean(req.body) && req.body.action === "delete";
+}
+
+// API: 批次操作（delete、move、tag、rename、visibility），回報每張圖片的結果
+app.post(
+  "/api/images/bulk",
+  (req, res, next) =>
+    isBulkDelete(req) ? limitDestructive(req, res, next) : next(),
+  (req, res, next) =>
+    auth.requireScope(isBulkDelete(req) ? "delete" : "upload")(req, res, next),
+  (req, res) => {
+    let request;
+    try {
+      request = parseBulkRequest(req.body);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+    const { action, options } = request;
+    if (action === "move" && options.albumId) {
+      if (!albumRepo.findById(options.albumId)) {
+        return res.status(404).json({ error: "相簿不存在" });
+      }
+    }
+
+    let outcome;
+    try {
+      outcome = bulkOperations.run(request);
+    } catch (error) {
+      console.error("批次操作失敗:", error);
+      return res.status(500).json({ error: "批次操作失敗" });
+    }
+
+    const { results, changed } = outcome;
+    if (action === "delete") {
+      emitImageEvent("image.deleted", changed);
+      purgeCdnCache(changed);
+    } else {
+      emitImageEvent("image.updated", changed);
+      // 改成私人後，CDN 不能再使用之前快取的內容
+      if (action === "visibility" && options.visibility === "private") {
+        purgeCdnCache(changed);
+      }
+    }
+
+    const failed = results.filter((result) => !result.success).length;
+    res.json({
+      success: failed === 0,
+      message:
+        failed > 0
+          ? `${results.length - failed} 張圖片成功，${failed} 張失敗`
+          : `已處理 ${results.length} 張圖片`,
+      succeeded: results.length - failed,
+      failed,
+      results,
+    });
+  }
+);
+
+// API: 圖片總數和總容量
+app.get("/api/stats", auth.requireScope("read"), (req, res) => {
+  try {
+    res.json(imageRepo.stats());
+  } catch (error) {
+    res.status(500).json({ error: "讀取統計資料失敗" });
+  }
+});
+
+// 刪除圖片記錄之後，清掉轉換快取和不再被任何記錄引用的檔案
+function deleteStoredFiles(removedImages, unusedKeys) {
+  const cachePromises = removedImages.map((image) =>
+    removeCachedImages(image.filename, cacheDir)
+  );
+  const filePromises = unusedKeys.map((key) =>
+    storage
+      .delete(key)
+      .then(() => {
+        console.log("檔案已刪除:", key);
+      })
+      .catch((fileError) => {
+        console.log("檔案已不存在或刪除失敗:", key, fileError.message);
+      })
+  );
+  return Promise.all([...cachePromises, ...filePromises]);
+}
+
+// API: 批量刪除圖片（移到垃圾桶）
+app.delete(
+  "/api/images/batch",
+  limitDestructive,
+  auth.requireScope("delete"),
+  (req, res) => {
+    const { ids } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: "請提供要刪除的圖片ID陣列" });
+    }
+
+    let trashed;
+    try {
+      trashed = imageRepo.trashMany(ids);
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (trashed.length === 0) {
+      return res.status(404).json({ error: "沒有找到要刪除的圖片" });
+    }
+    emitImageEvent("image.deleted", trashed);
+    purgeCdnCache(trashed);
+
+    res.json({
+      success: true,
+      message: `已把 ${trashed.length} 張圖片移到垃圾桶`,
+      deletedCount: trashed.length,
+    });
+  }
+);
+
+// API: 清空全部圖片（全部移到垃圾桶）
+app.delete(
+  "/api/images/clear-all",
+  limitDestructive,
+  auth.requireScope("admin"),
+  (req, res) => {
+    try {
+      const trashed = imageRepo.trashAll();
+      emitImageEvent("image.deleted", trashed);
+      purgeCdnCache(trashed);
+      res.json({
+        success: true,
+        message: `已把 ${trashed.length} 張圖片移到垃圾桶`,
+        deletedCount: trashed.length,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// API: 刪除單張圖片（移到垃圾桶，保留期間內可以還原）
+// 要註冊在 batch 和 clear-all 之後，否則它們會被當成圖片 ID
+app.delete(
+  "/api/images/:id",
+  limitDestructive,
+  auth.requireScope("delete"),
+  (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const trashed = imageRepo.trashMany([id]);
+      if (trashed.length === 0) {
+        return res.status(404).json({ error: "圖片不存在" });
+      }
+      emitImageEvent("image.deleted", trashed);
+      purgeCdnCache(trashed);
+
+      res.json({ success: true, message: "圖片已移到垃圾桶" });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// 垃圾桶保留天數，超過後永久刪除，可用 TRASH_RETENTION_DAYS 設定，預設 30 天
+const trashRetentionDays = Number(process.env.TRASH_RETENTION_DAYS || 30);
+if (!(trashRetentionDays >= 0)) {
+  throw new Error("TRASH_RETENTION_DAYS 必須是大於等於 0 的數字");
+}
+const TRASH_RETENTION = trashRetentionDays * 24 * 60 * 60 * 1000;
+
+// 垃圾桶中的圖片加上預計永久刪除的時間
+function withPurgeTime(image) {
+  const purgeTime = new Date(Date.parse(image.deletedAt) + TRASH_RETENTION);
+  return { ...image, purgeTime: purgeTime.toISOString() };
+}
+
+// 永久刪除垃圾桶中的圖片，不在垃圾桶中的 ID 會略過
+function purgeImages(ids) {
+  const trashedIds = ids.filter((id) => {
+    const image = imageRepo.findById(id);
+    return image && image.deletedAt;
+  });
+  const { removed, unusedKeys } = imageRepo.removeMany(trashedIds);
+  emitImageEvent("image.purged", removed, { reason: "manual" });
+  return deleteStoredFiles(removed, unusedKeys).then(() => removed);
+}
+
+// 定期永久刪除超過保留期限的圖片
+function purgeExpiredTrash() {
+  let result;
+  try {
+    const before = new Date(Date.now() - TRASH_RETENTION).toISOString();
+    result = imageRepo.purgeTrash(before);
+  } catch (error) {
+    console.error("清除垃圾桶失敗:", error);
+    return;
+  }
+
+  if (result.removed.length === 0) return;
+  emitImageEvent("image.purged", result.removed, { reason: "retention" });
+  deleteStoredFiles(result.removed, result.unusedKeys).then(() => {
+    console.log(`已永久刪除 ${result.removed.length} 張過期的圖片`);
+  });
+}
+
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
+// 定期永久刪除設定了到期時間、已經到期的圖片
+function removeExpiredImages() {
+  let result;
+  try {
+    result = imageRepo.removeExpired(new Date().toISOString());
+  } catch (error) {
+    console.error("刪除到期的圖片失敗:", error);
+    return;
+  }
+
+  if (result.removed.length === 0) return;
+  emitImageEvent("image.purged", result.removed, { reason: "expired" });
+  purgeCdnCache(result.removed);
+  deleteStoredFiles(result.removed, result.unusedKeys).then(() => {
+    console.log(`已刪除 ${result.removed.length} 張到期的圖片`);
+  });
+}
+
+removeExpiredImages();
+setInterval(removeExpiredImages, 60 * 1000).unref();
+
+// API: 列出垃圾桶中的圖片（支援 /api/images 的查詢參數，預設依刪除時間排序）
+app.get("/api/trash", auth.requireScope("read"), (req, res) => {
+  let options;
+  try {
+    options = parseListQuery({ sort: "deleted", ...req.query });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { images, total } = imageRepo.query({ ...options, trash: true });
+    res.json({
+      images: withUrls(req, images).map(withPurgeTime),
+      total,
+      page: options.page,
+      limit: options.limit,
+      totalPages: Math.ceil(total / options.limit),
+      retentionDays: trashRetentionDays,
+      ...(options.page === 1 ? { stats: imageRepo.trashStats() } : {}),
+    });
+  } catch (error) {
+    res.status(500).json({ error: "讀取垃圾桶失敗" });
+  }
+});
+
+// API: 從垃圾桶還原多張圖片
+app.post("/api/trash/restore", auth.requireScope("delete"), (req, res) => {
+  const ids = getImageIds(req.body);
+  if (!ids) {
+    return res.status(400).json({ error: "請提供要還原的圖片ID陣列" });
+  }
+
+  try {
+    const restored = imageRepo.restoreMany(ids);
+    emitImageEvent("image.restored", restored);
+    res.json({
+      success: true,
+      message: `已還原 ${restored.length} 張圖片`,
+      restoredCount: restored.length,
+      images: withUrls(req, restored),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: 從垃圾桶還原單張圖片
+app.post(
+  "/api/trash/:id/restore",
+  auth.requireScope("delete"),
+  (req, res) => {
+    try {
+      const [image] = imageRepo.restoreMany([req.params.id]);
+      if (!image) {
+        return res.status(404).json({ error: "垃圾桶中沒有這張圖片" });
+      }
+      emitImageEvent("image.restored", [image]);
+      res.json({
+        success: true,
+        message: "圖片已還原",
+        image: withUrl(req, image),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// API: 永久刪除垃圾桶中的單張圖片
+app.delete(
+  "/api/trash/:id",
+  limitDestructive,
+  auth.requireScope("delete"),
+  (req, res) => {
+    purgeImages([req.params.id])
+      .then((removed) => {
+        if (removed.length === 0) {
+          return res.status(404).json({ error: "垃圾桶中沒有這張圖片" });
+        }
+        res.json({ success: true, message: "圖片已永久刪除" });
+      })
+      .catch((error) => {
+        res.status(500).json({ error: error.message });
+      });
+  }
+);
+
+// API: 永久刪除垃圾桶中的多張圖片
+app.post(
+  "/api/trash/purge",
+  limitDestructive,
+  auth.requireScope("delete"),
+  (req, res) => {
+    const ids = getImageIds(req.body);
+    if (!ids) {
+      return res.status(400).json({ error: "請提供要永久刪除的圖片ID陣列" });
+    }
+
+    purgeImages(ids)
+      .then((removed) => {
+        res.json({
+          success: true,
+          message: `已永久刪除 ${removed.length} 張圖片`,
+          deletedCount: removed.length,
+        });
+      })
+      .catch((error) => {
+        res.status(500).json({ error: error.message });
+      });
+  }
+);
+
+// API: 清空垃圾桶（永久刪除全部）
+app.delete(
+  "/api/trash",
+  limitDestructive,
+  auth.requireScope("admin"),
+  (req, res) => {
+    let result;
+    try {
+      result = imageRepo.purgeTrash(new Date().toISOString());
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    emitImageEvent("image.purged", result.removed, { reason: "manual" });
+
+    deleteStoredFiles(result.removed, result.unusedKeys)
+      .then(() => {
+        res.json({
+          success: true,
+          message: `已永久刪除 ${result.removed.length} 張圖片`,
+          deletedCount: result.removed.length,
+        });
+      })
+      .catch((error) => {
+        res.status(500).json({ error: error.message });
+      });
+  }
+);
+
+// API: 更新圖片資訊（檔名、說明、標籤、可見性、到期時間，只更新有提供的欄位）
+app.put("/api/images/:id", auth.requireScope("upload"), (req, res) => {
+  const { id } = req.params;
+  const { originalName } = req.body;
+  const changes = {};
+
+  try {
+    if (originalName !== undefined) {
+      if (typeof originalName !== "string" || !originalName.trim()) {
+        throw new Error("檔案名稱不能是空的");
+      }
+      changes.originalName = originalName.trim();
+    }
+    if (req.body.description !== undefined) {
+      changes.description = normalizeDescription(req.body.description);
+    }
+    if (req.body.tags !== undefined) {
+      changes.tags = normalizeTags(req.body.tags);
+    }
+    if (req.body.visibility !== undefined) {
+      changes.visibility = normalizeVisibility(req.body.visibility);
+    }
+    if (req.body.expiresAt !== undefined) {
+      changes.expiresAt = normalizeExpiresAt(req.body.expiresAt);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({
+      error: "請提供 originalName、description、tags、visibility 或 expiresAt",
+    });
+  }
+
+  try {
+    const image = imageRepo.update(id, changes);
+    if (!image) {
+      return res.status(404).json({ error: "圖片不存在" });
+    }
+    emitImageEvent("image.updated", [image]);
+    // 改成私人或修改到期時間後，CDN 不能再使用之前快取的內容
+    if (changes.visibility === "private" || changes.expiresAt !== undefined) {
+      purgeCdnCache([image]);
+    }
+
+    res.json({
+      success: true,
+      message: "圖片資訊已更新",
+      image: withUrl(req, image),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: 產生有時效的簽署網址，私人圖片可以用它分享給沒有 API key 的人
+app.post(
+  "/api/images/:id/signed-url",
+  auth.requireScope("read"),
+  (req, res) => {
+    const expiresIn =
+      req.body.expiresIn === undefined
+        ? DEFAULT_SIGNED_URL_TTL
+        : Number(req.body.expiresIn);
+    if (
+      !Number.isInteger(expiresIn) ||
+      expiresIn < 1 ||
+      expiresIn > MAX_SIGNED_URL_TTL
+    ) {
+      return res.status(400).json({
+        error: `expiresIn 必須是 1 到 ${MAX_SIGNED_URL_TTL} 之間的整數（秒）`,
+      });
+    }
+
+    let image;
+    try {
+      image = imageRepo.findById(req.params.id);
+    } catch (error) {
+      return res.status(500).json({ error: "讀取圖片資料失敗" });
+    }
+    if (!image || image.deletedAt) {
+      return res.status(404).json({ error: "圖片不存在" });
+    }
+
+    const { expires, signature } = urlSigner.sign(
+      image.filename,
+      new Date(Date.now() + expiresIn * 1000)
+    );
+    // 簽章由服務本身檢查，不使用 CDN 的網址
+    const query = new URLSearchParams({ expires, signature });
+    res.json({
+      url: `${imageUrls.originUrl(image, getBaseUrl(req))}?${query}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+    });
+  }
+);
+
+// API: 可以直接貼上的 HTML（<img srcset>、<picture>）和 Markdown
+app.get("/api/images/:id/snippets", auth.requireScope("read"), (req, res) => {
+  let image;
+  try {
+    image = imageRepo.findById(req.params.id);
+  } catch (error) {
+    return res.status(500).json({ error: "讀取圖片資料失敗" });
+  }
+  if (!image || image.deletedAt) {
+    return res.status(404).json({ error: "圖片不存在" });
+  }
+
+  const result = withUrl(req, image);
+  res.json({ variants: result.variants, snippets: buildSnippets(result) });
+});
+
+// 相似圖片中品質較好的在前面：解析度較高、檔案較大、較早上傳
+function compareQuality(a, b) {
+  return (
+    (b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0) ||
+    b.size - a.size ||
+    a.uploadTime.localeCompare(b.uploadTime)
+  );
+}
+
+// 相似圖片的分群要兩兩比較，圖片多時很花時間，所以快取每個 maxDistance 的結果
+// 以圖片 id 和感知雜湊的摘要判斷是否過期：上傳、取代、刪除、還原或補上雜湊之後
+// 清單改變，下一次請求時重新計算
+let similarClusterCache = { signature: null, groups: new Map() };
+
+function getSimilarClusters(maxDistance) {
+  const entries = imageRepo.listPerceptualHashes();
+  const signature = crypto
+    .createHash("sha1")
+    .update(
+      entries.map((entry) => `${entry.id}:${entry.perceptualHash}`).join()
+    )
+    .digest("hex");
+  if (similarClusterCache.signature !== signature) {
+    similarClusterCache = { signature, groups: new Map() };
+  }
+
+  const { groups } = similarClusterCache;
+  if (!groups.has(maxDistance)) {
+    groups.set(maxDistance, clusterSimilar(entries, maxDistance));
+  }
+  return groups.get(maxDistance);
+}
+
+// API: 相似圖片的群組，用來找出重新存檔、縮放或重新壓縮過的重複圖片（不含垃圾桶中的圖片）
+// 感知雜湊的距離不超過 maxDistance（預設 10）的圖片同一群，圖片多的群在前面
+// pending 是還沒有計算感知雜湊、不在結果中的圖片數量
+app.get("/api/images/similar", auth.requireScope("read"), (req, res) => {
+  let options;
+  try {
+    options = parseSimilarQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const groups = getSimilarClusters(options.maxDistance);
+    const start = (options.page - 1) * options.limit;
+    res.json({
+      clusters: groups.slice(start, start + options.limit).map((ids) => ({
+        images: withUrls(req, imageRepo.findByIds(ids).sort(compareQuality)),
+      })),
+      total: groups.length,
+      page: options.page,
+      limit: options.limit,
+      totalPages: Math.ceil(groups.length / options.limit),
+      maxDistance: options.maxDistance,
+      pending: imageRepo.listMissingPerceptualHashes().length,
+    });
+  } catch (error) {
+    console.error("尋找相似圖片失敗:", error);
+    res.status(500).json({ error: "尋找相似圖片失敗" });
+  }
+});
 
-              <script>
-                  let allImages = ${JSON.stringify(images)};
-                  let filteredImages = [...allImages];
-                  let selectedImages = new Set();
-
-                  // 計算統計資料
-                  function calculateStats() {
-                      const today = new Date().toDateString();
-                      const todayUploads = allImages.filter(img => 
-                          new Date(img.uploadTime).toDateString() === today
-                      ).length;
-                      
-                      const totalSize = allImages.reduce((sum, img) => sum + (img.size || 0), 0);
-                      
-                      document.getElementById('todayUploads').textContent = todayUploads;
-                      document.getElementById('totalSize').textContent = formatFileSize(totalSize);
-                  }
+// API: 和指定圖片相似的圖片，依距離（不同的 bit 數，0 代表看起來相同）排序
+app.get("/api/images/:id/similar", auth.requireScope("read"), (req, res) => {
+  let options;
+  try {
+    options = parseSimilarQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-                  // 格式化檔案大小
-                  function formatFileSize(bytes) {
-                      if (bytes === 0) return '0 B';
-                      const k = 1024;
-                      const sizes = ['B', 'KB', 'MB', 'GB'];
-                      const i = Math.floor(Math.log(bytes) / Math.log(k));
-                      return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-                  }
+  let image;
+  let matches = [];
+  let images = [];
+  try {
+    image = imageRepo.findById(req.params.id);
+    if (image && !image.deletedAt && image.perceptualHash) {
+      matches = findSimilar(
+        image,
+        imageRepo.listPerceptualHashes(),
+        options.maxDistance
+      );
+      const start = (options.page - 1) * options.limit;
+      images = imageRepo.findByIds(
+        matches.slice(start, start + options.limit).map((match) => match.id)
+      );
+    }
+  } catch (error) {
+    console.error("尋找相似圖片失敗:", error);
+    return res.status(500).json({ error: "尋找相似圖片失敗" });
+  }
+  if (!image || image.deletedAt) {
+    return res.status(404).json({ error: "圖片不存在" });
+  }
+  if (!image.perceptualHash) {
+    return res
+      .status(409)
+      .json({ error: "這張圖片的感知雜湊還在計算中，請稍後再試" });
+  }
 
-                  // 更新選擇狀態
-                  function updateSelectionUI() {
-                      const count = selectedImages.size;
-                      const bulkActions = document.getElementById('bulkActions');
-                      const selectedCount = document.getElementById('selectedCount');
-                      
-                      if (count > 0) {
-                          bulkActions.style.display = 'flex';
-                          selectedCount.textContent = \`已選擇 \${count} 張圖片\`;
-                      } else {
-                          bulkActions.style.display = 'none';
-                      }
-                  }
+  const distances = new Map(matches.map((match) => [match.id, match.distance]));
+  res.json({
+    images: withUrls(req, images).map((similar) => ({
+      ...similar,
+      distance: distances.get(similar.id),
+    })),
+    total: matches.length,
+    page: options.page,
+    limit: options.limit,
+    totalPages: Math.ceil(matches.length / options.limit),
+    maxDistance: options.maxDistance,
+  });
+});
 
-                  // 切換圖片選擇狀態
-                  function toggleImageSelection(imageId) {
-                      if (selectedImages.has(imageId)) {
-                          selectedImages.delete(imageId);
-                      } else {
-                          selectedImages.add(imageId);
-                      }
-                      updateSelectionUI();
-                      renderImages();
-                  }
+// 讀取未刪除的圖片和網址中的版本編號，找不到時回應 404 並回傳 null
+function findVersionRequest(req, res) {
+  let image;
+  try {
+    image = imageRepo.findById(req.params.id);
+  } catch (error) {
+    res.status(500).json({ error: "讀取圖片資料失敗" });
+    return null;
+  }
+  if (!image || image.deletedAt) {
+    res.status(404).json({ error: "圖片不存在" });
+    return null;
+  }
 
-                  // 全選
-                  function selectAll() {
-                      filteredImages.forEach(img => selectedImages.add(img.id));
-                      updateSelectionUI();
-                      renderImages();
-                  }
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    res.status(404).json({ error: "版本不存在" });
+    return null;
+  }
+  return { image, version };
+}
 
-                  // 清除選擇
-                  function clearSelection() {
-                      selectedImages.clear();
-                      updateSelectionUI();
-                      renderImages();
-                  }
+// API: 圖片的版本紀錄（目前的版本和保留的舊版本）
+app.get("/api/images/:id/versions", auth.requireScope("read"), (req, res) => {
+  let image;
+  let versions;
+  try {
+    image = imageRepo.findById(req.params.id);
+    versions = image ? imageRepo.listVersions(image.id) : [];
+  } catch (error) {
+    return res.status(500).json({ error: "讀取圖片資料失敗" });
+  }
+  if (!image || image.deletedAt) {
+    return res.status(404).json({ error: "圖片不存在" });
+  }
 
-                  // 渲染圖片
-                  function renderImages() {
-                      const grid = document.getElementById('imagesGrid');
-                      
-                      if (filteredImages.length === 0) {
-                          grid.innerHTML = \`
-                              <div class="empty-state">
-                                  <div style="font-size: 4em;">🔍</div>
-                                  <h3>沒有找到符合的圖片</h3>
-                                  <p>試試其他搜尋關鍵字或調整篩選條件</p>
-                              </div>
-                          \`;
-                          return;
-                      }
+  res.json({
+    currentVersion: image.version,
+    versions: versions.map((version) => ({
+      ...version,
+      fileUrl: `/api/images/${image.id}/versions/${version.version}/file`,
+    })),
+  });
+});
 
-                      grid.innerHTML = filteredImages.map(img => \`
-                          <div class="image-card \${selectedImages.has(img.id) ? 'selected' : ''}" data-id="\${img.id}" 
-                               style="\${selectedImages.has(img.id) ? 'border-color: #007bff; box-shadow: 0 0 0 2px rgba(0,123,255,0.25);' : ''}">
-                              <div style="position: relative;">
-                                  <input type="checkbox" class="checkbox" 
-                                         style="position: absolute; top: 10px; left: 10px; z-index: 10;"
-                                         \${selectedImages.has(img.id) ? 'checked' : ''} 
-                                         onchange="toggleImageSelection('\${img.id}')">
-                                  <img src="\${img.url}" alt="\${img.originalName}" class="image-preview" 
-                                       onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjBmMGYwIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPuWcluePh+eEoeazleS4reWFpTwvdGV4dD48L3N2Zz4='">
-                              </div>
-                              <div class="image-info">
-                                  <div class="image-name">\${img.originalName}</div>
-                                  <div class="image-meta">📅 \${new Date(img.uploadTime).toLocaleString('zh-TW')}</div>
-                                  <div class="image-meta">📏 \${formatFileSize(img.size || 0)}</div>
-                                  <div class="image-url">\${img.url}</div>
-                                  <div class="image-actions">
-                                      <button class="btn btn-primary" onclick="copyUrl('\${img.url}')">📋 複製網址</button>
-                                      <a href="\${img.url}" target="_blank" class="btn btn-success">👀 查看原圖</a>
-                                      <button class="btn btn-danger" onclick="deleteImage('\${img.id}', '\${img.originalName}')">🗑️ 刪除</button>
-                                  </div>
-                              </div>
-                          </div>
-                      \`).join('');
-                  }
+// API: 舊版本的檔案，用來在還原前預覽
+app.get(
+  "/api/images/:id/versions/:version/file",
+  auth.requireScope("read"),
+  (req, res) => {
+    const found = findVersionRequest(req, res);
+    if (!found) return;
 
-                  // 搜尋功能
-                  document.getElementById('searchInput').addEventListener('input', function() {
-                      const query = this.value.toLowerCase();
-                      filteredImages = allImages.filter(img => 
-                          img.originalName.toLowerCase().includes(query)
-                      );
-                      renderImages();
-                  });
+    const version = imageRepo.findVersion(found.image.id, found.version);
+    if (!version) {
+      return res.status(404).json({ error: "版本不存在" });
+    }
+    res.set("Cache-Control", "private, no-store");
+    sendStoredFile(req, res, version);
+  }
+);
 
-                  // 排序功能
-                  document.getElementById('sortSelect').addEventListener('change', function() {
-                      const sortBy = this.value;
-                      
-                      filteredImages.sort((a, b) => {
-                          switch(sortBy) {
-                              case 'newest':
-                                  return new Date(b.uploadTime) - new Date(a.uploadTime);
-                              case 'oldest':
-                                  return new Date(a.uploadTime) - new Date(b.uploadTime);
-                              case 'name':
-                                  return a.originalName.localeCompare(b.originalName);
-                              case 'size':
-                                  return (b.size || 0) - (a.size || 0);
-                              default:
-                                  return 0;
-                          }
-                      });
-                      
-                      renderImages();
-                  });
+// API: 還原到舊版本，網址不變，目前的內容保留為舊版本
+app.post(
+  "/api/images/:id/versions/:version/rollback",
+  auth.requireScope("upload"),
+  (req, res) => {
+    const found = findVersionRequest(req, res);
+    if (!found) return;
 
-                  // 複製網址
-                  function copyUrl(url) {
-                      navigator.clipboard.writeText(url).then(() => {
-                          alert('✅ 網址已複製到剪貼簿！');
-                      }).catch(() => {
-                          // 備用方案
-                          const textArea = document.createElement('textarea');
-                          textArea.value = url;
-                          document.body.appendChild(textArea);
-                          textArea.select();
-                          document.execCommand('copy');
-                          document.body.removeChild(textArea);
-                          alert('✅ 網址已複製到剪貼簿！');
-                      });
-                  }
+    const { image, version } = found;
+    if (version === image.version) {
+      return res.status(400).json({ error: "已經是目前的版本" });
+    }
 
-                  // 刪除單張圖片
-                  async function deleteImage(id, name) {
-                      if (!confirm(\`確定要刪除「\${name}」嗎？\\n\\n⚠️ 此操作無法復原！\`)) {
-                          return;
-                      }
+    let restored;
+    try {
+      restored = imageRepo.rollback(image.id, version);
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!restored) {
+      return res.status(404).json({ error: "版本不存在" });
+    }
 
-                      try {
-                          const response = await fetch(\`/api/images/\${id}\`, {
-                              method: 'DELETE'
-                          });
+    emitImageEvent("image.replaced", [restored], {
+      previousVersion: image.version,
+    });
+    purgeCdnCache([image, restored]);
+    removeCachedImages(image.filename, cacheDir);
 
-                          const result = await response.json();
-                          
-                          if (response.ok) {
-                              // 從陣列中移除
-                              allImages = allImages.filter(img => img.id !== id);
-                              filteredImages = filteredImages.filter(img => img.id !== id);
-                              selectedImages.delete(id);
-                              
-                              // 更新統計和重新渲染
-                              document.getElementById('totalImages').textContent = allImages.length;
-                              calculateStats();
-                              updateSelectionUI();
-                              renderImages();
-                              
-                              alert('✅ 圖片已刪除！');
-                          } else {
-                              alert('❌ 刪除失敗：' + result.error);
-                          }
-                      } catch (error) {
-                          alert('❌ 刪除失敗：' + error.message);
-                      }
-                  }
+    res.json({
+      success: true,
+      message: `圖片已還原為第 ${version} 版`,
+      image: withUrl(req, restored),
+    });
+  }
+);
 
-                  // 刪除選中的圖片
-                  async function deleteSelected() {
-                      if (selectedImages.size === 0) {
-                          alert('請先選擇要刪除的圖片');
-                          return;
-                      }
+// 讀取請求中的相簿名稱
+function getAlbumName(body) {
+  const name = body && body.name;
+  return typeof name === "string" ? name.trim() : "";
+}
 
-                      if (!confirm(\`確定要刪除選中的 \${selectedImages.size} 張圖片嗎？\\n\\n⚠️ 此操作無法復原！\`)) {
-                          return;
-                      }
+// 讀取請求中的圖片 ID 陣列
+function getImageIds(body) {
+  const ids = body && body.ids;
+  if (!Array.isArray(ids) || ids.length === 0) return null;
+  return ids.filter((id) => typeof id === "string");
+}
 
-                      const deletePromises = Array.from(selectedImages).map(async (id) => {
-                          try {
-                              const response = await fetch(\`/api/images/\${id}\`, {
-                                  method: 'DELETE'
-                              });
-                              return response.ok;
-                          } catch (error) {
-                              console.error('刪除失敗:', error);
-                              return false;
-                          }
-                      });
+// API: 列出相簿
+app.get("/api/albums", auth.requireScope("read"), (req, res) => {
+  try {
+    res.json(albumRepo.list());
+  } catch (error) {
+    res.status(500).json({ error: "讀取相簿資料失敗" });
+  }
+});
 
-                      try {
-                          const results = await Promise.all(deletePromises);
-                          const successCount = results.filter(Boolean).length;
-                          
-                          // 從陣列中移除已刪除的圖片
-                          allImages = allImages.filter(img => !selectedImages.has(img.id));
-                          filteredImages = filteredImages.filter(img => !selectedImages.has(img.id));
-                          selectedImages.clear();
-                          
-                          // 更新統計和重新渲染
-                          document.getElementById('totalImages').textContent = allImages.length;
-                          calculateStats();
-                          updateSelectionUI();
-                          renderImages();
-                          
-                          alert(\`✅ 成功刪除 \${successCount} 張圖片！\`);
-                      } catch (error) {
-                          alert('❌ 批量刪除失敗：' + error.message);
-                      }
-                  }
+// API: 建立相簿
+app.post("/api/albums", auth.requireScope("upload"), (req, res) => {
+  const name = getAlbumName(req.body);
+  if (!name) {
+    return res.status(400).json({ error: "請提供相簿名稱" });
+  }
 
-                  // 清空全部圖片
-                  async function confirmDeleteAll() {
-                      if (allImages.length === 0) {
-                          alert('沒有圖片可以刪除');
-                          return;
-                      }
+  try {
+    const album = albumRepo.create(name);
+    webhooks.emit("album.created", { album });
+    res.json({ success: true, album });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-                      if (!confirm(\`確定要刪除全部 \${allImages.length} 張圖片嗎？\\n\\n⚠️ 此操作無法復原！\`)) {
-                          return;
-                      }
+// API: 重新命名相簿
+app.put("/api/albums/:id", auth.requireScope("upload"), (req, res) => {
+  const name = getAlbumName(req.body);
+  if (!name) {
+    return res.status(400).json({ error: "請提供相簿名稱" });
+  }
 
-                      if (!confirm('⚠️⚠️⚠️ 最後確認 ⚠️⚠️⚠️\\n\\n真的要清空全部圖片嗎？這個動作無法復原！')) {
-                          return;
-                      }
+  try {
+    const album = albumRepo.rename(req.params.id, name);
+    if (!album) {
+      return res.status(404).json({ error: "相簿不存在" });
+    }
+    webhooks.emit("album.updated", { album });
+    res.json({ success: true, message: "相簿已更新", album });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-                      try {
-                          const response = await fetch('/api/images/clear-all', {
-                              method: 'DELETE'
-                          });
+// API: 刪除相簿（圖片不會被刪除，會變成未分類）
+app.delete(
+  "/api/albums/:id",
+  limitDestructive,
+  auth.requireScope("delete"),
+  (req, res) => {
+    try {
+      const album = albumRepo.findById(req.params.id);
+      if (!album || !albumRepo.remove(req.params.id)) {
+        return res.status(404).json({ error: "相簿不存在" });
+      }
+      webhooks.emit("album.deleted", { album });
+      res.json({ success: true, message: "相簿已刪除" });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
-                          const result = await response.json();
-                          
-                          if (response.ok) {
-                              allImages = [];
-                              filteredImages = [];
-                              selectedImages.clear();
-                              
-                              // 更新統計和重新渲染
-                              document.getElementById('totalImages').textContent = 0;
-                              calculateStats();
-                              updateSelectionUI();
-                              renderImages();
-                              
-                              alert('✅ 已清空全部圖片！');
-                          } else {
-                              alert('❌ 清空失敗：' + result.error);
-                          }
-                      } catch (error) {
-                          alert('❌ 清空失敗：' + error.message);
-                      }
-                  }
+// API: 列出相簿中的圖片（支援和 /api/images 相同的查詢參數）
+app.get("/api/albums/:id/images", auth.requireScope("read"), (req, res) => {
+  let options;
+  try {
+    options = parseListQuery({ ...req.query, albumId: req.params.id });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-                  // 初始化
-                  calculateStats();
-                  renderImages();
-              </script>
-          </body>
-          </html>
-      `);
-    })
-    .catch((error) => {
-      console.error("讀取圖片資料失敗:", error);
-      res.status(500).send("讀取圖片資料失敗");
+  try {
+    const album = albumRepo.findById(req.params.id);
+    if (!album) {
+      return res.status(404).json({ error: "相簿不存在" });
+    }
+
+    const { images, total } = imageRepo.query(options);
+    res.json({
+      album,
+      images: withUrls(req, images),
+      total,
+      page: options.page,
+      limit: options.limit,
+      totalPages: Math.ceil(total / options.limit),
     });
+  } catch (error) {
+    res.status(500).json({ error: "讀取圖片資料失敗" });
+  }
 });
 
-// API: 獲取所有圖片資訊
-app.get("/api/images", (req, res) => {
-  readMeta()
-    .then((images) => {
-      res.json(images);
-    })
-    .catch((error) => {
-      res.status(500).json({ error: "讀取圖片資料失敗" });
+// API: 把圖片加入（移動到）相簿
+app.post("/api/albums/:id/images", auth.requireScope("upload"), (req, res) => {
+  const ids = getImageIds(req.body);
+  if (!ids) {
+    return res.status(400).json({ error: "請提供圖片ID陣列" });
+  }
+
+  try {
+    if (!albumRepo.findById(req.params.id)) {
+      return res.status(404).json({ error: "相簿不存在" });
+    }
+
+    const updated = albumRepo.addImages(req.params.id, ids);
+    emitImageEvent(
+      "image.updated",
+      updated.map((id) => imageRepo.findById(id))
+    );
+    res.json({
+      success: true,
+      message: `已移動 ${updated.length} 張圖片`,
+      updatedCount: updated.length,
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// API: 刪除單張圖片
-app.delete("/api/images/:id", (req, res) => {
-  const { id } = req.params;
+// API: 把圖片移出相簿
+app.delete(
+  "/api/albums/:id/images",
+  auth.requireScope("upload"),
+  (req, res) => {
+    const ids = getImageIds(req.body);
+    if (!ids) {
+      return res.status(400).json({ error: "請提供圖片ID陣列" });
+    }
 
-  readMeta()
-    .then((images) => {
-      const imageIndex = images.findIndex((img) => img.id === id);
-      if (imageIndex === -1) {
-        return res.status(404).json({ error: "圖片不存在" });
+    try {
+      if (!albumRepo.findById(req.params.id)) {
+        return res.status(404).json({ error: "相簿不存在" });
       }
 
-      const image = images[imageIndex];
+      const updated = albumRepo.removeImages(req.params.id, ids);
+      emitImageEvent(
+        "image.updated",
+        updated.map((id) => imageRepo.findById(id))
+      );
+      res.json({
+        success: true,
+        message: `已從相簿移除 ${updated.length} 張圖片`,
+        updatedCount: updated.length,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
-      // 刪除實際檔案
-      fs.unlink(path.join(uploadsDir, image.filename))
-        .then(() => {
-          console.log("檔案已刪除:", image.filename);
-        })
-        .catch((fileError) => {
-          console.log("檔案已不存在或刪除失敗:", fileError.message);
-        });
+// API: 列出 API keys
+app.get("/api/keys", auth.requireScope("admin"), (req, res) => {
+  res.json(auth.listKeys());
+});
 
-      // 從 metadata 中移除
-      images.splice(imageIndex, 1);
+// API: 建立 API key，明文 key 只會在這裡回傳一次
+// body: { name, scopes, quota? }，quota 是 { maxBytes?, maxImages? }，null 代表不限制
+app.post("/api/keys", auth.requireScope("admin"), (req, res) => {
+  const { name, scopes, quota } = req.body || {};
 
-      return writeMeta(images).then(() => {
-        res.json({ success: true, message: "圖片已刪除" });
-      });
-    })
-    .catch((error) => {
-      res.status(500).json({ error: error.message });
-    });
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return res
+      .status(400)
+      .json({ error: `請提供 name 和 scopes（${auth.SCOPES.join(", ")}）` });
+  }
+
+  try {
+    const { key, record } = auth.createKey(name, scopes, quota);
+    const { keyHash, ...info } = record;
+    res.json({ success: true, key, apiKey: info });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API: 設定 API key 的配額，沒有提供的項目使用預設值
+app.put("/api/keys/:id/quota", auth.requireScope("admin"), (req, res) => {
+  let apiKey;
+  try {
+    apiKey = auth.updateKeyQuota(req.params.id, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!apiKey) {
+    return res.status(404).json({ error: "API key 不存在" });
+  }
+  res.json({ success: true, apiKey, quota: getQuota(apiKey) });
 });
 
-// API: 批量刪除圖片
-app.delete("/api/images/batch", (req, res) => {
-  const { ids } = req.body;
+// API: 每個上傳者的用量和配額，admin 可以看到全部，其他 key 只看得到自己的
+app.get("/api/usage", auth.requireScope("upload"), (req, res) => {
+  const isAdmin = auth.hasScope(req.apiKey, "admin");
+  const keysById = new Map(auth.listKeys().map((key) => [key.id, key]));
 
-  if (!ids || !Array.isArray(ids) || ids.length === 0) {
-    return res.status(400).json({ error: "請提供要刪除的圖片ID陣列" });
+  let owners;
+  try {
+    owners = isAdmin
+      ? imageRepo.usageByOwner()
+      : [{ ownerId: req.apiKey.id, ...imageRepo.usage(req.apiKey.id) }];
+  } catch (error) {
+    return res.status(500).json({ error: "讀取用量失敗" });
   }
 
-  readMeta()
-    .then((images) => {
-      const imagesToDelete = images.filter((img) => ids.includes(img.id));
-      const remainingImages = images.filter((img) => !ids.includes(img.id));
+  res.json({
+    owners: owners.map((owner) => {
+      const apiKey =
+        owner.ownerId === req.apiKey.id
+          ? req.apiKey
+          : keysById.get(owner.ownerId);
+      return {
+        ...owner,
+        name: apiKey ? apiKey.name : null,
+        quota: apiKey ? getQuota(apiKey) : null,
+      };
+    }),
+    defaultQuota,
+  });
+});
 
-      if (imagesToDelete.length === 0) {
-        return res.status(404).json({ error: "沒有找到要刪除的圖片" });
-      }
+// API: 刪除 API key
+app.delete("/api/keys/:id", auth.requireScope("admin"), (req, res) => {
+  if (!auth.removeKey(req.params.id)) {
+    return res.status(404).json({ error: "API key 不存在" });
+  }
+  res.json({ success: true, message: "API key 已刪除" });
+});
 
-      // 刪除實際檔案
-      const deletePromises = imagesToDelete.map((image) =>
-        fs
-          .unlink(path.join(uploadsDir, image.filename))
-          .then(() => {
-            console.log("檔案已刪除:", image.filename);
-          })
-          .catch((fileError) => {
-            console.log("檔案已不存在或刪除失敗:", fileError.message);
-          })
-      );
+// API: 列出 webhook 訂閱（不包含 secret）
+app.get("/api/webhooks", auth.requireScope("admin"), (req, res) => {
+  try {
+    res.json(webhookRepo.list());
+  } catch (error) {
+    res.status(500).json({ error: "讀取 webhook 失敗" });
+  }
+});
 
-      // 等待所有檔案刪除完成，然後更新 metadata
-      Promise.all(deletePromises)
-        .then(() => {
-          return writeMeta(remainingImages);
-        })
-        .then(() => {
-          res.json({
-            success: true,
-            message: `已刪除 ${imagesToDelete.length} 張圖片`,
-            deletedCount: imagesToDelete.length,
-          });
-        })
-        .catch((error) => {
-          res.status(500).json({ error: error.message });
-        });
-    })
-    .catch((error) => {
-      res.status(500).json({ error: error.message });
-    });
+// API: 建立 webhook 訂閱，secret 只會在這裡回傳一次
+// body: { url, events, active? }，events 可以用 "*" 訂閱全部事件
+app.post("/api/webhooks", auth.requireScope("admin"), (req, res) => {
+  try {
+    res.json({ success: true, webhook: webhookRepo.create(req.body || {}) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
-// API: 清空全部圖片
-app.delete("/api/images/clear-all", (req, res) => {
-  readMeta()
-    .then((images) => {
-      // 刪除所有檔案的 Promise 陣列
-      const deletePromises = images.map((image) => {
-        return fs
-          .unlink(path.join(uploadsDir, image.filename))
-          .catch((fileError) => {
-            console.log("檔案刪除失敗:", image.filename, fileError.message);
-          });
-      });
+// API: 更新 webhook 的網址、事件或是否啟用（只更新有提供的欄位）
+app.put("/api/webhooks/:id", auth.requireScope("admin"), (req, res) => {
+  try {
+    const webhook = webhookRepo.update(req.params.id, req.body || {});
+    if (!webhook) {
+      return res.status(404).json({ error: "webhook 不存在" });
+    }
+    res.json({ success: true, message: "webhook 已更新", webhook });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-      // 等待所有檔案刪除完成，然後清空 metadata
-      Promise.all(deletePromises)
-        .then(() => {
-          return writeMeta([]);
-        })
-        .then(() => {
-          res.json({
-            success: true,
-            message: `已刪除 ${images.length} 張圖片`,
-          });
-        })
-        .catch((error) => {
-          res.status(500).json({ error: error.message });
-        });
-    })
-    .catch((error) => {
-      res.status(500).json({ error: error.message });
-    });
+// API: 刪除 webhook 訂閱和它的送出紀錄
+app.delete("/api/webhooks/:id", auth.requireScope("admin"), (req, res) => {
+  try {
+    if (!webhookRepo.remove(req.params.id)) {
+      return res.status(404).json({ error: "webhook 不存在" });
+    }
+    res.json({ success: true, message: "webhook 已刪除" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// API: 更新圖片資訊（可選功能）
-app.put("/api/images/:id", (req, res) => {
-  const { id } = req.params;
-  const { originalName } = req.body;
+// API: 查詢 webhook 的送出紀錄，新的在前面
+// 查詢參數：status（pending、success、failed）、page、limit（最多 100）
+app.get(
+  "/api/webhooks/:id/deliveries",
+  auth.requireScope("admin"),
+  (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status 必須是 ${DELIVERY_STATUSES.join(", ")}` });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      100,
+      Math.max(1, parseInt(req.query.limit, 10) || 20)
+    );
 
-  if (!originalName) {
-    return res.status(400).json({ error: "請提供新的檔案名稱" });
+    try {
+      if (!webhookRepo.findById(req.params.id)) {
+        return res.status(404).json({ error: "webhook 不存在" });
+      }
+
+      const { deliveries, total } = webhookRepo.listDeliveries(req.params.id, {
+        status,
+        page,
+        limit,
+      });
+      res.json({
+        deliveries,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      res.status(500).json({ error: "讀取送出紀錄失敗" });
+    }
   }
+);
 
-  readMeta()
-    .then((images) => {
-      const imageIndex = images.findIndex((img) => img.id === id);
-      if (imageIndex === -1) {
-        return res.status(404).json({ error: "圖片不存在" });
+// API: 立刻重新送出一筆紀錄（包含已經放棄重試的）
+app.post(
+  "/api/webhooks/:id/deliveries/:deliveryId/retry",
+  auth.requireScope("admin"),
+  (req, res) => {
+    try {
+      const delivery = webhookRepo.retryDelivery(
+        req.params.id,
+        req.params.deliveryId
+      );
+      if (!delivery) {
+        return res.status(404).json({ error: "送出紀錄不存在" });
       }
+      webhooks.processDue();
+      res.json({ success: true, message: "已重新排入佇列", delivery });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
-      // 更新圖片資訊
-      images[imageIndex].originalName = originalName;
-      images[imageIndex].updatedTime = new Date().toISOString();
+// API: 下載整個圖庫的備份（tar.gz），包含所有檔案和 metadata，用來搬到其他部署
+app.get("/api/backup/export", auth.requireScope("admin"), (req, res) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "application/gzip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="image-host-backup-${date}.tar.gz"`
+  );
+  res.setHeader("Cache-Control", "no-store");
 
-      return writeMeta(images).then(() => {
-        res.json({
-          success: true,
-          message: "圖片資訊已更新",
-          image: images[imageIndex],
-        });
+  // 開始傳送後就無法再回傳錯誤，只能中斷連線（備份檔會缺少最後的 manifest.json）
+  backups.exportArchive(res).catch((error) => {
+    console.error("匯出備份失敗:", error);
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      return res.status(500).json({ error: "匯出備份失敗" });
+    }
+    res.destroy(error);
+  });
+});
+
+// API: 從備份還原，請求內容是 /api/backup/export 下載的檔案（也接受未壓縮的 tar）
+// 查詢參數 conflict：id 已存在時 skip（預設）略過，merge 以備份的資料更新
+// 任何檔案校驗失敗時整個備份都不還原
+app.post("/api/backup/import", auth.requireScope("admin"), (req, res) => {
+  let conflict;
+  try {
+    conflict = parseConflictMode(req.query.conflict);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  backups
+    .importArchive(req, { conflict })
+    .then((result) => {
+      emitImageEvent("image.uploaded", result.imported);
+      emitImageEvent("image.updated", result.merged);
+      // 較早的備份沒有感知雜湊，在背景補上
+      if (result.imported.some((image) => !image.perceptualHash)) {
+        backfillPerceptualHashes();
+      }
+      purgeCdnCache(
+        result.merged.filter((image) => image.visibility === "private")
+      );
+
+      const { albums, images, errors, missingFiles } = result;
+      res.json({
+        success: images.failed === 0,
+        message: `已還原 ${images.imported} 張圖片（更新 ${images.merged} 張、略過 ${images.skipped} 張、失敗 ${images.failed} 張）`,
+        albums,
+        images,
+        errors,
+        missingFiles,
       });
     })
     .catch((error) => {
-      res.status(500).json({ error: error.message });
+      if (!error.status) {
+        console.error("還原備份失敗:", error);
+      }
+      // 沒讀完的請求內容不再需要，讀取中斷也不影響回應
+      req.resume();
+      res.status(error.status || 500).json({
+        error: error.message,
+        ...(error.corruptedFiles && { corruptedFiles: error.corruptedFiles }),
+      });
+    });
+});
+
+// API: 檢查資料庫記錄和儲存的檔案是否一致，只回報不修改
+// 查詢參數 verifyHashes=true 時讀取檔案驗證 SHA-256（檔案多時很慢）
+app.get("/api/integrity", auth.requireScope("admin"), (req, res) => {
+  integrity
+    .check({ verifyHashes: req.query.verifyHashes === "true" })
+    .then((report) => res.json(report))
+    .catch((error) => {
+      console.error("完整性檢查失敗:", error);
+      res.status(500).json({ error: "完整性檢查失敗" });
+    });
+});
+
+// API: 檢查並修復：修正 blob 引用數、標記檔案遺失或損毀的圖片、把孤兒檔案移到 quarantine/
+// 請求內容可以帶 { verifyHashes: true }
+app.post("/api/integrity/repair", auth.requireScope("admin"), (req, res) => {
+  integrity
+    .check({
+      verifyHashes: Boolean(req.body && req.body.verifyHashes === true),
+      repair: true,
+    })
+    .then((report) => res.json(report))
+    .catch((error) => {
+      console.error("完整性修復失敗:", error);
+      res.status(500).json({ error: "完整性修復失敗" });
     });
 });
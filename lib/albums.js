@@ -0,0 +1,121 @@
+const { v4: uuidv4 } = require("uuid");
+
+// 相簿 repository
+
+function toAlbum(row) {
+  if (!row) return null;
+
+  const album = {
+    id: row.id,
+    name: row.name,
+    imageCount: row.image_count || 0,
+    createdTime: row.created_time,
+  };
+  if (row.updated_time) {
+    album.updatedTime = row.updated_time;
+  }
+  return album;
+}
+
+function createAlbumRepository(db) {
+  const selectAlbums = `
+    SELECT albums.*, COUNT(images.id) AS image_count
+    FROM albums
+    LEFT JOIN images
+      ON images.album_id = albums.id AND images.deleted_at IS NULL
+  `;
+
+  const statements = {
+    list: db.prepare(
+      `${selectAlbums} GROUP BY albums.id ORDER BY albums.name COLLATE NOCASE`
+    ),
+    findById: db.prepare(
+      `${selectAlbums} WHERE albums.id = ? GROUP BY albums.id`
+    ),
+    insert: db.prepare(
+      "INSERT INTO albums (id, name, created_time) VALUES (?, ?, ?)"
+    ),
+    importAlbum: db.prepare(`
+      INSERT OR IGNORE INTO albums (id, name, created_time, updated_time)
+      VALUES (@id, @name, @createdTime, @updatedTime)
+    `),
+    rename: db.prepare(
+      "UPDATE albums SET name = ?, updated_time = ? WHERE id = ?"
+    ),
+    remove: db.prepare("DELETE FROM albums WHERE id = ?"),
+    addImage: db.prepare("UPDATE images SET album_id = ? WHERE id = ?"),
+    removeImage: db.prepare(
+      "UPDATE images SET album_id = NULL WHERE album_id = ? AND id = ?"
+    ),
+  };
+
+  function list() {
+    return statements.list.all().map(toAlbum);
+  }
+
+  function findById(id) {
+    return toAlbum(statements.findById.get(id));
+  }
+
+  function create(name) {
+    const id = uuidv4();
+    statements.insert.run(id, name, new Date().toISOString());
+    return findById(id);
+  }
+
+  function rename(id, name) {
+    const result = statements.rename.run(name, new Date().toISOString(), id);
+    return result.changes > 0 ? findById(id) : null;
+  }
+
+  // 還原備份用：以原本的 id 和時間新增相簿，id 已存在時略過，回傳是否有新增
+  function importAlbum(album) {
+    const result = statements.importAlbum.run({
+      id: album.id,
+      name: album.name,
+      createdTime: album.createdTime || new Date().toISOString(),
+      updatedTime: album.updatedTime || null,
+    });
+    return result.changes > 0;
+  }
+
+  // 刪除相簿，裡面的圖片會變成未分類（不會刪除圖片）
+  function remove(id) {
+    return statements.remove.run(id).changes > 0;
+  }
+
+  // 把圖片移到相簿（原本在其他相簿的會移過來），回傳實際更新的圖片 ID
+  const addImages = db.transaction((albumId, imageIds) => {
+    const updated = [];
+    for (const imageId of imageIds) {
+      if (statements.addImage.run(albumId, imageId).changes > 0) {
+        updated.push(imageId);
+      }
+    }
+    return updated;
+  });
+
+  // 把圖片移出相簿，回傳實際更新的圖片 ID
+  const removeImages = db.transaction((albumId, imageIds) => {
+    const updated = [];
+    for (const imageId of imageIds) {
+      if (statements.removeImage.run(albumId, imageId).changes > 0) {
+        updated.push(imageId);
+      }
+    }
+    return updated;
+  });
+
+  return {
+    list,
+    findById,
+    create,
+    rename,
+    importAlbum,
+    remove,
+    addImages,
+    removeImages,
+  };
+}
+
+module.exports = { createAlbumRepository };
@@ -0,0 +1,241 @@
+const zlib = require("zlib");
+const { pipeline } = require("stream");
+
+// 簡單的 tar（ustar）讀寫，備份和還原用，不依賴外部套件
+// 只處理一般檔案；讀取時其他類型（目錄、pax 擴充標頭等）會略過
+
+const BLOCK_SIZE = 512;
+
+function archiveError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function paddingFor(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, length, "utf8");
+}
+
+// 數字欄位以八進位字串儲存，超過欄位能表示的大小時改用 base-256（GNU tar 的擴充）
+function writeNumber(header, value, offset, length) {
+  const octal = value.toString(8);
+  if (octal.length < length) {
+    writeString(header, octal.padStart(length - 1, "0"), offset, length - 1);
+    return;
+  }
+  header[offset] = 0x80;
+  let remaining = BigInt(value);
+  for (let i = offset + length - 1; i > offset; i--) {
+    header[i] = Number(remaining & 0xffn);
+    remaining >>= 8n;
+  }
+}
+
+function readNumber(header, offset, length) {
+  if (header[offset] & 0x80) {
+    let value = 0n;
+    for (let i = offset + 1; i < offset + length; i++) {
+      value = (value << 8n) | BigInt(header[i]);
+    }
+    return Number(value);
+  }
+  const text = readString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString("utf8");
+}
+
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // 計算時 checksum 欄位本身當作空白
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+// 名稱超過 100 bytes 時，從斜線處拆成 prefix（最多 155 bytes）和 name
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: "", name };
+
+  for (let index = name.indexOf("/"); index !== -1; ) {
+    const prefix = name.slice(0, index);
+    const rest = name.slice(index + 1);
+    if (Buffer.byteLength(prefix) > 155) break;
+    if (Buffer.byteLength(rest) <= 100) return { prefix, name: rest };
+    index = name.indexOf("/", index + 1);
+  }
+  throw new Error(`檔案名稱太長，無法放進封存檔: ${name}`);
+}
+
+function createHeader({ name, size, mtime }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const parts = splitName(name);
+
+  writeString(header, parts.name, 0, 100);
+  writeNumber(header, 0o644, 100, 8);
+  writeNumber(header, 0, 108, 8);
+  writeNumber(header, 0, 116, 8);
+  writeNumber(header, size, 124, 12);
+  writeNumber(header, Math.floor((mtime || Date.now()) / 1000), 136, 12);
+  header[156] = "0".charCodeAt(0);
+  writeString(header, "ustar\u000000", 257, 8);
+  writeString(header, parts.prefix, 345, 155);
+  writeString(header, checksum(header).toString(8).padStart(6, "0"), 148, 6);
+  // checksum 欄位以 NUL 和空白結尾
+  header[155] = 0x20;
+  return header;
+}
+
+function parseHeader(header) {
+  if (readNumber(header, 148, 8) !== checksum(header)) {
+    throw archiveError("封存檔格式錯誤（檔頭校驗失敗）");
+  }
+
+  const name = readString(header, 0, 100);
+  const prefix =
+    readString(header, 257, 6) === "ustar" ? readString(header, 345, 155) : "";
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: readNumber(header, 124, 12),
+    mtime: readNumber(header, 136, 12) * 1000,
+    // "0" 和舊格式的 "\0" 都是一般檔案
+    type: header[156] === 0 ? "0" : String.fromCharCode(header[156]),
+  };
+}
+
+// 產生 tar 內容
+// entries 是 { name, size, mtime?, body } 的（async）iterable，body 是 Buffer 或 Buffer 的 async iterable
+// 每個檔案的內容讀完才會取下一個 entry，body 實際的大小必須和 size 相同
+async function* packTar(entries) {
+  for await (const entry of entries) {
+    yield createHeader(entry);
+
+    let written = 0;
+    const body = Buffer.isBuffer(entry.body) ? [entry.body] : entry.body;
+    for await (const chunk of body) {
+      written += chunk.length;
+      if (written > entry.size) break;
+      yield chunk;
+    }
+    if (written !== entry.size) {
+      throw new Error(`${entry.name} 的大小和預期的不同`);
+    }
+    if (paddingFor(entry.size) > 0) {
+      yield Buffer.alloc(paddingFor(entry.size));
+    }
+  }
+  // 結尾是兩個全為 0 的區塊
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+// 從 Buffer 的 async iterable 依需要的長度讀取
+function createChunkReader(input) {
+  const iterator = input[Symbol.asyncIterator]();
+  let pending = Buffer.alloc(0);
+
+  async function fill() {
+    const { value, done } = await iterator.next();
+    if (done) return false;
+    pending = pending.length > 0 ? Buffer.concat([pending, value]) : value;
+    return true;
+  }
+
+  // 讀取 length bytes，資料不夠時回傳較短的 Buffer
+  async function read(length) {
+    while (pending.length < length && (await fill()));
+    const chunk = pending.subarray(0, length);
+    pending = pending.subarray(chunk.length);
+    return chunk;
+  }
+
+  // 逐段讀取接下來的 length bytes，不合併成一個 Buffer
+  async function* chunks(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      if (pending.length === 0 && !(await fill())) {
+        throw archiveError("封存檔不完整");
+      }
+      const chunk = pending.subarray(0, Math.min(remaining, pending.length));
+      pending = pending.subarray(chunk.length);
+      remaining -= chunk.length;
+      yield chunk;
+    }
+  }
+
+  async function skip(length) {
+    const iterator = chunks(length);
+    while (!(await iterator.next()).done);
+  }
+
+  return { read, chunks, skip };
+}
+
+// 讀取 tar 內容，依序產生一般檔案的 { name, size, mtime, body }
+// body 是內容的 async iterable，要在取下一個檔案之前讀完，沒讀完的部分會被略過
+async function* readTar(input) {
+  const reader = createChunkReader(input);
+
+  for (;;) {
+    const header = await reader.read(BLOCK_SIZE);
+    if (header.length < BLOCK_SIZE) {
+      throw archiveError("封存檔不完整");
+    }
+    if (header.every((byte) => byte === 0)) return;
+
+    const entry = parseHeader(header);
+    let remaining = entry.size;
+    if (entry.type === "0") {
+      entry.body = (async function* () {
+        for await (const chunk of reader.chunks(remaining)) {
+          remaining -= chunk.length;
+          yield chunk;
+        }
+      })();
+      yield entry;
+    }
+    await reader.skip(remaining + paddingFor(entry.size));
+  }
+}
+
+// 以開頭的 magic bytes 判斷是否是 gzip 壓縮過的內容，是的話解壓縮
+async function* maybeGunzip(input) {
+  const iterator = input[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  if (first.done) return;
+
+  const rest = (async function* () {
+    yield first.value;
+    for (;;) {
+      const { value, done } = await iterator.next();
+      if (done) return;
+      yield value;
+    }
+  })();
+
+  if (first.value[0] !== 0x1f || first.value[1] !== 0x8b) {
+    yield* rest;
+    return;
+  }
+
+  const gunzip = zlib.createGunzip();
+  pipeline(rest, gunzip, () => {});
+  try {
+    yield* gunzip;
+  } catch (error) {
+    if (error.code && error.code.startsWith("Z_")) {
+      throw archiveError("封存檔解壓縮失敗");
+    }
+    throw error;
+  }
+}
+
+module.exports = { packTar, readTar, maybeGunzip };
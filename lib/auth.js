@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const fsSync = require("fs");
+const { v4: uuidv4 } = require("uuid");
+
+// 可用的權限範圍，admin 擁有全部權限
+const SCOPES = ["upload", "read", "delete", "admin"];
+
+const SESSION_COOKIE = "session";
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 天
+
+let keysFile = null;
+let keys = [];
+const sessions = new Map();
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function generateKey() {
+  return `ih_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// 檢查配額設定：maxBytes、maxImages 是非負整數，null 代表不限制，沒有提供時使用預設值
+function normalizeQuota(quota) {
+  if (quota === undefined || quota === null) return {};
+  if (typeof quota !== "object" || Array.isArray(quota)) {
+    throw new Error("quota 必須是物件");
+  }
+
+  const result = {};
+  for (const name of ["maxBytes", "maxImages"]) {
+    const value = quota[name];
+    if (value === undefined) continue;
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      throw new Error(`quota.${name} 必須是大於等於 0 的整數或 null`);
+    }
+    result[name] = value;
+  }
+  return result;
+}
+
+function saveKeys() {
+  fsSync.writeFileSync(keysFile, JSON.stringify(keys, null, 2));
+}
+
+// 讀取 API key 檔案，不存在時建立一組 admin key 並印出一次
+function loadKeys(file) {
+  keysFile = file;
+
+  if (fsSync.existsSync(keysFile)) {
+    keys = JSON.parse(fsSync.readFileSync(keysFile, "utf8"));
+    return;
+  }
+
+  keys = [];
+  if (!process.env.ADMIN_API_KEY) {
+    const { key } = createKey("admin", ["admin"]);
+    console.log("已建立初始 admin API key（只會顯示這一次）:", key);
+  } else {
+    saveKeys();
+  }
+}
+
+function createKey(name, scopes, quota) {
+  const invalid = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    throw new Error(`無效的權限範圍: ${invalid.join(", ")}`);
+  }
+  const keyQuota = normalizeQuota(quota);
+
+  const key = generateKey();
+  const record = {
+    id: uuidv4(),
+    name,
+    keyHash: hashKey(key),
+    scopes,
+    quota: keyQuota,
+    createdTime: new Date().toISOString(),
+  };
+
+  keys.push(record);
+  saveKeys();
+  return { key, record };
+}
+
+// 設定 key 的配額（整組取代），直接修改記錄，已登入的 session 也會套用
+// key 不存在時回傳 null
+function updateKeyQuota(id, quota) {
+  const record = keys.find((item) => item.id === id);
+  if (!record) return null;
+
+  record.quota = normalizeQuota(quota);
+  saveKeys();
+  const { keyHash, ...info } = record;
+  return info;
+}
+
+function removeKey(id) {
+  const index = keys.findIndex((record) => record.id === id);
+  if (index === -1) return false;
+
+  keys.splice(index, 1);
+  saveKeys();
+  for (const [sessionId, session] of sessions) {
+    if (session.keyId === id) sessions.delete(sessionId);
+  }
+  return true;
+}
+
+// 不回傳 keyHash
+function listKeys() {
+  return keys.map(({ keyHash, ...record }) => record);
+}
+
+function findKey(key) {
+  if (!key) return null;
+
+  if (process.env.ADMIN_API_KEY && key === process.env.ADMIN_API_KEY) {
+    return { id: "env-admin", name: "ADMIN_API_KEY", scopes: ["admin"] };
+  }
+
+  const keyHash = hashKey(key);
+  return keys.find((record) => record.keyHash === keyHash) || null;
+}
+
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes("admin") || apiKey.scopes.includes(scope);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    // 其他網站或程式設定的 cookie 編碼可能不正確（例如 %zz），保留原本的值
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+function createSession(apiKey) {
+  const sessionId = crypto.randomBytes(32).toString("hex");
+  sessions.set(sessionId, {
+    keyId: apiKey.id,
+    apiKey,
+    expires: Date.now() + SESSION_TTL,
+  });
+  return sessionId;
+}
+
+function getSession(req) {
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = sessionId && sessions.get(sessionId);
+  if (!session) return null;
+
+  if (session.expires < Date.now()) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  return { id: sessionId, ...session };
+}
+
+function destroySession(req) {
+  const session = getSession(req);
+  if (session) sessions.delete(session.id);
+}
+
+function setSessionCookie(req, res, sessionId) {
+  res.cookie(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    maxAge: SESSION_TTL,
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE);
+}
+
+// 從 Authorization: Bearer header 或登入 session 取得 API key
+function authenticate(req) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return findKey(match[1].trim());
+  }
+
+  const session = getSession(req);
+  return session ? session.apiKey : null;
+}
+
+// API 用：驗證失敗回傳 401 / 403
+function requireScope(scope) {
+  return (req, res, next) => {
+    const apiKey = authenticate(req);
+    if (!apiKey) {
+      return res.status(401).json({ error: "需要有效的 API key" });
+    }
+    if (!hasScope(apiKey, scope)) {
+      return res.status(403).json({ error: `此 API key 沒有 ${scope} 權限` });
+    }
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+// 頁面用：未登入時導向登入頁
+function requireLogin(scope) {
+  return (req, res, next) => {
+    const apiKey = authenticate(req);
+    if (!apiKey) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (!hasScope(apiKey, scope)) {
+      return res.status(403).send(`此 API key 沒有 ${scope} 權限`);
+    }
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+module.exports = {
+  SCOPES,
+  loadKeys,
+  createKey,
+  updateKeyQuota,
+  removeKey,
+  listKeys,
+  findKey,
+  hasScope,
+  createSession,
+  destroySession,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticate,
+  requireScope,
+  requireLogin,
+};
@@ -0,0 +1,470 @@
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const { pipeline } = require("stream/promises");
+const { packTar, readTar, maybeGunzip } = require("./archive");
+const {
+  normalizeTags,
+  normalizeDescription,
+  normalizeVisibility,
+} = require("./images");
+
+// 備份和還原：把整個圖庫打包成 tar.gz，在另一個部署還原
+//
+// 封存檔的內容：
+//   files/<storage key>  儲存後端中的檔案（原圖、舊版本和響應式版本）
+//   manifest.json        相簿、圖片（含標籤和舊版本）、blob 和每個檔案的大小與 SHA-256
+//                        放在最後面，因為 SHA-256 要讀完檔案才知道
+// API key、webhook 和簽署網址的密鑰不在備份中
+
+const BACKUP_FORMAT = "image-host-backup";
+const BACKUP_VERSION = 1;
+const MANIFEST_NAME = "manifest.json";
+const FILE_PREFIX = "files/";
+const MAX_MANIFEST_SIZE = 256 * 1024 * 1024;
+
+// 感知雜湊：64 bits 的十六進位字串
+const PERCEPTUAL_HASH_PATTERN = /^[0-9a-f]{16}$/;
+
+// 還原時遇到已存在的 id：skip 略過；merge 以備份的名稱、說明、可見性、到期時間和相簿
+// 更新，標籤取聯集（檔案內容不變）
+const CONFLICT_MODES = ["skip", "merge"];
+
+function backupError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isString(value) {
+  return typeof value === "string" && value.length > 0;
+}
+
+// 計算經過的內容的 SHA-256，讀完後結果在 hash 中
+async function* hashing(source, hash) {
+  for await (const chunk of source) {
+    hash.update(chunk);
+    yield chunk;
+  }
+}
+
+// 檢查備份中的一個內容（圖片目前的內容或舊版本），回傳只含需要欄位的物件
+function toContent(value, name) {
+  if (!value || !isString(value.storageKey) || !isString(value.mimetype)) {
+    throw backupError(`${name}缺少 storageKey 或 mimetype`);
+  }
+  if (value.hash !== undefined && value.hash !== null && !isString(value.hash)) {
+    throw backupError(`${name}的 hash 格式錯誤`);
+  }
+  // 較早的備份沒有感知雜湊，還原後由伺服器在背景補上
+  if (
+    value.perceptualHash !== undefined &&
+    value.perceptualHash !== null &&
+    !(
+      isString(value.perceptualHash) &&
+      PERCEPTUAL_HASH_PATTERN.test(value.perceptualHash)
+    )
+  ) {
+    throw backupError(`${name}的 perceptualHash 格式錯誤`);
+  }
+  return {
+    hash: value.hash || null,
+    storageKey: value.storageKey,
+    mimetype: value.mimetype,
+    size: Number(value.size) || 0,
+    width: value.width,
+    height: value.height,
+    orientation: value.orientation,
+    cameraMake: value.cameraMake,
+    cameraModel: value.cameraModel,
+    takenAt: value.takenAt,
+    colorProfile: value.colorProfile,
+    perceptualHash: value.perceptualHash || null,
+  };
+}
+
+function parseImage(value) {
+  if (!value || !isString(value.id) || !isString(value.filename)) {
+    throw backupError("圖片缺少 id 或 filename");
+  }
+  const version = value.version === undefined ? 1 : value.version;
+  if (!Number.isInteger(version) || version < 1) {
+    throw backupError("圖片的 version 格式錯誤");
+  }
+  const versions = (value.versions || []).map((item) => {
+    if (!item || !Number.isInteger(item.version) || item.version < 1) {
+      throw backupError("舊版本的 version 格式錯誤");
+    }
+    return {
+      ...toContent(item, `第 ${item.version} 版`),
+      version: item.version,
+      createdTime: item.createdTime,
+    };
+  });
+
+  try {
+    return {
+      ...toContent(value, "圖片"),
+      id: value.id,
+      filename: value.filename,
+      originalName: isString(value.originalName)
+        ? value.originalName
+        : value.filename,
+      uploadTime: value.uploadTime || new Date().toISOString(),
+      updatedTime: value.updatedTime,
+      albumId: value.albumId,
+      description: normalizeDescription(value.description),
+      tags: normalizeTags(value.tags),
+      deletedAt: value.deletedAt,
+      visibility: normalizeVisibility(value.visibility),
+      expiresAt: value.expiresAt,
+      ownerId: value.ownerId,
+      version,
+      replacedTime: value.replacedTime,
+      versions,
+    };
+  } catch (error) {
+    throw backupError(error.message);
+  }
+}
+
+function parseConflictMode(value) {
+  if (value === undefined || value === "") return "skip";
+  if (!CONFLICT_MODES.includes(value)) {
+    throw backupError(`conflict 只能是 ${CONFLICT_MODES.join(", ")}`);
+  }
+  return value;
+}
+
+function createBackupService(db, { imageRepo, albumRepo, storage }) {
+  // 內容在儲存後端的檔案：有 blob 時是 blob 的原圖和響應式版本，舊資料是記錄自己的檔案
+  function contentFiles(content, blobs) {
+    const blob = content.hash && blobs.get(content.hash);
+    if (!blob) {
+      return [{ key: content.storageKey, mimetype: content.mimetype }];
+    }
+    return [
+      { key: blob.storageKey, mimetype: blob.mimetype },
+      ...(blob.variants || []).map((variant) => ({
+        key: variant.storageKey,
+        mimetype: variant.mimetype,
+      })),
+    ];
+  }
+
+  async function* exportEntries() {
+    const { images, blobs } = imageRepo.exportAll();
+    const albums = albumRepo.list().map(({ imageCount, ...album }) => album);
+    const blobsByHash = new Map(blobs.map((blob) => [blob.hash, blob]));
+
+    const keys = new Set();
+    for (const image of images) {
+      for (const content of [image, ...image.versions]) {
+        for (const file of contentFiles(content, blobsByHash)) {
+          keys.add(file.key);
+        }
+      }
+    }
+
+    // 檔案已經不存在時略過，記錄在 missingFiles
+    const files = [];
+    const missingFiles = [];
+    for (const key of keys) {
+      let source;
+      try {
+        source = await storage.getStream(key);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        missingFiles.push(key);
+        continue;
+      }
+
+      const hash = crypto.createHash("sha256");
+      yield {
+        name: FILE_PREFIX + key,
+        size: source.size,
+        mtime: source.lastModified
+          ? new Date(source.lastModified).getTime()
+          : undefined,
+        body: hashing(source.stream, hash),
+      };
+      files.push({ key, size: source.size, sha256: hash.digest("hex") });
+    }
+
+    const manifest = Buffer.from(
+      JSON.stringify(
+        {
+          format: BACKUP_FORMAT,
+          version: BACKUP_VERSION,
+          createdTime: new Date().toISOString(),
+          albums,
+          images,
+          blobs: blobs.map(({ refCount, ...blob }) => blob),
+          files,
+          missingFiles,
+        },
+        null,
+        2
+      )
+    );
+    yield { name: MANIFEST_NAME, size: manifest.length, body: manifest };
+  }
+
+  // 把整個圖庫以 tar.gz 寫到 output
+  function exportArchive(output) {
+    return pipeline(packTar(exportEntries()), zlib.createGzip(), output);
+  }
+
+  // 解開封存檔到暫存目錄，回傳 manifest 和每個檔案的暫存路徑、大小和 SHA-256
+  async function extract(input, tempDir) {
+    const extracted = new Map();
+    let manifest = null;
+
+    for await (const entry of readTar(maybeGunzip(input))) {
+      if (entry.name === MANIFEST_NAME) {
+        if (entry.size > MAX_MANIFEST_SIZE) {
+          throw backupError("manifest.json 太大");
+        }
+        const chunks = [];
+        for await (const chunk of entry.body) {
+          chunks.push(chunk);
+        }
+        try {
+          manifest = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+        } catch (error) {
+          throw backupError("manifest.json 格式錯誤");
+        }
+      } else if (entry.name.startsWith(FILE_PREFIX)) {
+        // 暫存檔以序號命名，封存檔中的路徑不會用在本機檔案系統
+        const filePath = path.join(tempDir, String(extracted.size));
+        const hash = crypto.createHash("sha256");
+        await pipeline(
+          hashing(entry.body, hash),
+          fsSync.createWriteStream(filePath)
+        );
+        extracted.set(entry.name.slice(FILE_PREFIX.length), {
+          path: filePath,
+          size: entry.size,
+          sha256: hash.digest("hex"),
+        });
+      }
+    }
+
+    if (!manifest) {
+      throw backupError("封存檔中沒有 manifest.json，可能不是備份檔或下載不完整");
+    }
+    return { manifest, extracted };
+  }
+
+  function checkManifest(manifest) {
+    if (!manifest || manifest.format !== BACKUP_FORMAT) {
+      throw backupError("不是這個服務的備份檔");
+    }
+    if (manifest.version !== BACKUP_VERSION) {
+      throw backupError(`不支援的備份版本: ${manifest.version}`);
+    }
+    for (const field of ["albums", "images", "blobs", "files"]) {
+      if (!Array.isArray(manifest[field])) {
+        throw backupError(`manifest.json 缺少 ${field}`);
+      }
+    }
+  }
+
+  // 以 manifest 記錄的大小和 SHA-256 檢查每個檔案，blob 的原圖還要符合 blob 的 hash
+  // 有任何檔案不符時整個備份都不還原；回傳通過檢查的檔案
+  function verifyFiles(manifest, extracted) {
+    const blobHashes = new Map(
+      manifest.blobs
+        .filter((blob) => blob && isString(blob.storageKey))
+        .map((blob) => [blob.storageKey, blob.hash])
+    );
+    const verified = new Map();
+    const corruptedFiles = [];
+
+    for (const file of manifest.files) {
+      const key = file && file.key;
+      const actual = extracted.get(key);
+      let error;
+      if (!actual) {
+        error = "封存檔中沒有這個檔案";
+      } else if (actual.size !== file.size || actual.sha256 !== file.sha256) {
+        error = "大小或 SHA-256 和 manifest 不符";
+      } else if (blobHashes.has(key) && blobHashes.get(key) !== actual.sha256) {
+        error = "內容和 blob 的 hash 不符";
+      }
+
+      if (error) {
+        corruptedFiles.push({ key, error });
+      } else {
+        verified.set(key, actual);
+      }
+    }
+
+    if (corruptedFiles.length > 0) {
+      const error = backupError(
+        `備份檔損毀：${corruptedFiles.length} 個檔案檢查失敗，沒有還原任何資料`
+      );
+      error.corruptedFiles = corruptedFiles;
+      throw error;
+    }
+    return verified;
+  }
+
+  // 新增一張備份中的圖片：先把還沒有的檔案寫入儲存後端，再建立記錄
+  // 相同內容的 blob 已經存在時沿用它的檔案；建立記錄失敗時刪除這次寫入的檔案
+  async function restoreImage(image, { blobs, files }) {
+    if (imageRepo.findByFilename(image.filename, true)) {
+      throw backupError("檔名已被其他圖片使用", 409);
+    }
+
+    const written = [];
+    let missingFiles = 0;
+    try {
+      for (const content of [image, ...image.versions]) {
+        const existing = content.hash && imageRepo.findBlob(content.hash);
+        if (existing) {
+          content.storageKey = existing.storageKey;
+          continue;
+        }
+
+        const blob = content.hash && blobs.get(content.hash);
+        if (blob) {
+          content.storageKey = blob.storageKey;
+        } else if (await storage.exists(content.storageKey)) {
+          // 舊資料的檔案只屬於一筆記錄，不能覆蓋別的記錄的檔案
+          throw backupError(`檔案 ${content.storageKey} 已被其他圖片使用`, 409);
+        }
+
+        for (const { key, mimetype } of contentFiles(content, blobs)) {
+          if (written.includes(key)) continue;
+          const file = files.get(key);
+          if (!file) {
+            missingFiles++;
+            continue;
+          }
+          await storage.put(key, await fs.readFile(file.path), {
+            contentType: mimetype,
+          });
+          written.push(key);
+        }
+      }
+
+      const restored = imageRepo.importImage(image, blobs);
+      return { image: restored, missingFiles };
+    } catch (error) {
+      await Promise.all(
+        written.map((key) => storage.delete(key).catch(() => {}))
+      );
+      throw error;
+    }
+  }
+
+  // 以備份的內容更新已存在的圖片，標籤取聯集
+  // image.albumId 不存在的相簿已經改成 null
+  const mergeImage = db.transaction((existing, image) => {
+    let tags;
+    try {
+      tags = normalizeTags([...existing.tags, ...image.tags]);
+    } catch (error) {
+      throw backupError(error.message);
+    }
+
+    imageRepo.update(image.id, {
+      originalName: image.originalName,
+      description: image.description,
+      visibility: image.visibility,
+      expiresAt: image.expiresAt || null,
+      tags,
+    });
+    if (image.albumId) {
+      albumRepo.addImages(image.albumId, [image.id]);
+    } else if (existing.albumId) {
+      albumRepo.removeImages(existing.albumId, [image.id]);
+    }
+    return imageRepo.findById(image.id);
+  });
+
+  function restoreAlbums(albums, conflict) {
+    const counts = { imported: 0, merged: 0, skipped: 0 };
+    for (const album of albums) {
+      if (!album || !isString(album.id) || !isString(album.name)) {
+        counts.skipped++;
+      } else if (albumRepo.importAlbum(album)) {
+        counts.imported++;
+      } else if (conflict === "merge") {
+        albumRepo.rename(album.id, album.name);
+        counts.merged++;
+      } else {
+        counts.skipped++;
+      }
+    }
+    return counts;
+  }
+
+  // 從封存檔（tar 或 tar.gz 的內容）還原
+  // conflict 決定 id 已存在時的處理方式（見 CONFLICT_MODES）
+  // 回傳相簿和圖片的統計、個別失敗的圖片 errors、新增的 imported 和更新的 merged
+  async function importArchive(input, { conflict = "skip" }) {
+    const tempDir = await fs.mkdtemp(
+      path.join(os.tmpdir(), "image-host-restore-")
+    );
+    try {
+      const { manifest, extracted } = await extract(input, tempDir);
+      checkManifest(manifest);
+      const files = verifyFiles(manifest, extracted);
+      const blobs = new Map(
+        manifest.blobs
+          .filter((blob) => blob && isString(blob.hash))
+          .map((blob) => [blob.hash, blob])
+      );
+
+      const albums = restoreAlbums(manifest.albums, conflict);
+      const images = { imported: 0, merged: 0, skipped: 0, failed: 0 };
+      const imported = [];
+      const merged = [];
+      const errors = [];
+      let missingFiles = 0;
+
+      // 依序處理，後面的圖片才能沿用前面的圖片剛建立的 blob
+      for (const value of manifest.images) {
+        try {
+          const image = parseImage(value);
+          if (image.albumId && !albumRepo.findById(image.albumId)) {
+            image.albumId = null;
+          }
+
+          const existing = imageRepo.findById(image.id);
+          if (existing && conflict === "skip") {
+            images.skipped++;
+          } else if (existing) {
+            merged.push(mergeImage(existing, image));
+            images.merged++;
+          } else {
+            const result = await restoreImage(image, { blobs, files });
+            imported.push(result.image);
+            missingFiles += result.missingFiles;
+            images.imported++;
+          }
+        } catch (error) {
+          images.failed++;
+          errors.push({ id: value && value.id, error: error.message });
+        }
+      }
+
+      return { albums, images, errors, missingFiles, imported, merged };
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  return { exportArchive, importArchive };
+}
+
+module.exports = {
+  CONFLICT_MODES,
+  parseConflictMode,
+  createBackupService,
+};
@@ -0,0 +1,185 @@
+const { normalizeTags, normalizeVisibility } = require("./images");
+
+// 批次操作：一次對多張圖片移到垃圾桶、移動相簿、修改標籤、重新命名或修改可見性
+// 每張圖片分別回報成功或失敗，成功的變更在同一個 transaction 中寫入
+
+const BULK_ACTIONS = ["delete", "move", "tag", "rename", "visibility"];
+
+// 一個請求最多處理幾張圖片
+const MAX_BULK_ITEMS = 500;
+
+function bulkError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// 整理要處理的圖片：rename 使用 items（[{ id, originalName }]），其他操作使用 ids
+function parseItems(action, body) {
+  let items;
+  if (action === "rename") {
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      throw bulkError("請提供 items 陣列：[{ id, originalName }]");
+    }
+    items = body.items.map((item) => {
+      if (!item || typeof item.id !== "string") {
+        throw bulkError("items 的每一項都必須有 id");
+      }
+      return { id: item.id, originalName: item.originalName };
+    });
+  } else {
+    if (!Array.isArray(body.ids) || body.ids.length === 0) {
+      throw bulkError("請提供圖片 ID 陣列 ids");
+    }
+    if (body.ids.some((id) => typeof id !== "string")) {
+      throw bulkError("ids 必須是字串陣列");
+    }
+    items = Array.from(new Set(body.ids)).map((id) => ({ id }));
+  }
+
+  if (items.length > MAX_BULK_ITEMS) {
+    throw bulkError(`一次最多處理 ${MAX_BULK_ITEMS} 張圖片`);
+  }
+  if (new Set(items.map((item) => item.id)).size !== items.length) {
+    throw bulkError("items 中有重複的 id");
+  }
+  return items;
+}
+
+// 檢查 POST /api/images/bulk 的內容，回傳 { action, items, options, atomic }
+// 格式錯誤時丟出 status 為 400 的錯誤
+function parseBulkRequest(body) {
+  const action = body && body.action;
+  if (!BULK_ACTIONS.includes(action)) {
+    throw bulkError(`action 只能是 ${BULK_ACTIONS.join(", ")}`);
+  }
+
+  const options = {};
+  try {
+    if (action === "move") {
+      // albumId 為 null 代表移出相簿
+      if (body.albumId !== null && typeof body.albumId !== "string") {
+        throw new Error("請提供 albumId（null 代表移出相簿）");
+      }
+      options.albumId = body.albumId;
+    } else if (action === "tag") {
+      options.add = normalizeTags(body.add);
+      options.remove = normalizeTags(body.remove);
+      if (options.add.length === 0 && options.remove.length === 0) {
+        throw new Error("請提供要加上的標籤 add 或要移除的標籤 remove");
+      }
+    } else if (action === "visibility") {
+      options.visibility = normalizeVisibility(body.visibility);
+      if (!options.visibility) {
+        throw new Error("請提供 visibility");
+      }
+    }
+  } catch (error) {
+    throw bulkError(error.message);
+  }
+
+  return {
+    action,
+    items: parseItems(action, body),
+    options,
+    atomic: body.atomic === true,
+  };
+}
+
+function createBulkOperations(db, { imageRepo, albumRepo }) {
+  // 對一張圖片執行操作，回傳變更後的圖片，沒有變動時回傳 null
+  // 失敗時丟出有 status 的錯誤，只有這張圖片的變更會回復
+  function applyItem(action, item, options) {
+    const image = imageRepo.findById(item.id);
+    if (!image) {
+      throw bulkError("圖片不存在", 404);
+    }
+    if (image.deletedAt) {
+      throw bulkError("圖片在垃圾桶中", 409);
+    }
+
+    switch (action) {
+      case "delete":
+        return imageRepo.trashMany([item.id])[0];
+      case "move":
+        if (image.albumId === options.albumId) return null;
+        albumRepo.addImages(options.albumId, [item.id]);
+        return imageRepo.findById(item.id);
+      case "tag":
+        return imageRepo.updateTags([item.id], options)[0] || null;
+      case "rename": {
+        const name =
+          typeof item.originalName === "string" ? item.originalName.trim() : "";
+        if (!name) {
+          throw bulkError("檔案名稱不能是空的");
+        }
+        if (name === image.originalName) return null;
+        return imageRepo.update(item.id, { originalName: name });
+      }
+      case "visibility":
+        if (image.visibility === options.visibility) return null;
+        return imageRepo.update(item.id, { visibility: options.visibility });
+      default:
+        throw bulkError(`不支援的操作: ${action}`);
+    }
+  }
+
+  // 執行批次操作，回傳每張圖片的結果 results 和實際變動的圖片 changed
+  // 圖片各自失敗時不影響其他圖片；atomic 為 true 時只要有一張失敗就全部不寫入
+  // 非預期的錯誤（例如資料庫錯誤）會讓整批回復並丟出錯誤
+  function run({ action, items, options, atomic }) {
+    const rollback = new Error("有圖片失敗，整批回復");
+    let results;
+    let changed;
+
+    const apply = db.transaction(() => {
+      results = [];
+      changed = [];
+      for (const item of items) {
+        // 每張圖片在自己的 savepoint 中執行，失敗時只回復這張
+        try {
+          const image = db.transaction(() =>
+            applyItem(action, item, options)
+          )();
+          results.push({
+            id: item.id,
+            success: true,
+            changed: Boolean(image),
+          });
+          if (image) changed.push(image);
+        } catch (error) {
+          if (!error.status) throw error;
+          results.push({ id: item.id, success: false, error: error.message });
+        }
+      }
+
+      if (atomic && results.some((result) => !result.success)) {
+        throw rollback;
+      }
+    });
+
+    try {
+      apply();
+    } catch (error) {
+      if (error !== rollback) throw error;
+      // 已經回復，原本會成功的圖片也改為失敗
+      results = results.map((result) =>
+        result.success
+          ? { id: result.id, success: false, error: "其他圖片失敗，沒有套用" }
+          : result
+      );
+      changed = [];
+    }
+
+    return { results, changed };
+  }
+
+  return { run };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_ITEMS,
+  parseBulkRequest,
+  createBulkOperations,
+};
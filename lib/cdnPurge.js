@@ -0,0 +1,64 @@
+// CDN 快取清除：公開圖片會被永久快取，圖片不再公開時（刪除、到期、改成私人）通知 CDN 清掉
+// 設定 CDN_PURGE_URL 後，以 POST { "urls": [...] } 送出要清除的網址，CDN_PURGE_TOKEN 會放在
+// Authorization: Bearer header；沒有設定時不做任何事
+
+const PURGE_TIMEOUT = 10 * 1000;
+
+// 每個請求最多帶幾個網址
+const PURGE_BATCH_SIZE = 100;
+
+function createCdnPurger({ url, token, timeout = PURGE_TIMEOUT } = {}) {
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error("CDN_PURGE_URL 格式錯誤");
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      throw new Error("CDN_PURGE_URL 只支援 http 和 https");
+    }
+  }
+
+  async function send(urls) {
+    const headers = { "Content-Type": "application/json" };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ urls }),
+      signal: AbortSignal.timeout(timeout),
+    });
+    await response.arrayBuffer().catch(() => {});
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  // 清除網址的快取，失敗時只記錄錯誤，不影響原本的操作
+  function purge(urls) {
+    if (!url || urls.length === 0) return Promise.resolve();
+
+    const batches = [];
+    for (let i = 0; i < urls.length; i += PURGE_BATCH_SIZE) {
+      batches.push(urls.slice(i, i + PURGE_BATCH_SIZE));
+    }
+    return Promise.all(
+      batches.map((batch) =>
+        send(batch).catch((error) => {
+          console.error(
+            `清除 CDN 快取失敗（${batch.length} 個網址）:`,
+            error.message
+          );
+        })
+      )
+    );
+  }
+
+  return { purge };
+}
+
+module.exports = { createCdnPurger };
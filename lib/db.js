@@ -0,0 +1,238 @@
+const path = require("path");
+const fsSync = require("fs");
+const Database = require("better-sqlite3");
+
+// 資料庫 migrations，依序執行，已執行的版本記錄在 PRAGMA user_version
+// 新增欄位或資料表時只能在最後面加一筆，不能修改已發佈的 migration
+const migrations = [
+  // 1: 圖片 metadata
+  `
+  CREATE TABLE images (
+    id TEXT PRIMARY KEY,
+    filename TEXT NOT NULL UNIQUE,
+    original_name TEXT NOT NULL,
+    mimetype TEXT NOT NULL,
+    size INTEGER NOT NULL DEFAULT 0,
+    url TEXT NOT NULL,
+    upload_time TEXT NOT NULL,
+    updated_time TEXT
+  );
+  CREATE INDEX idx_images_upload_time ON images (upload_time);
+  `,
+
+  // 2: 以 SHA-256 去除重複檔案，多筆圖片記錄可以共用同一個 blob
+  `
+  CREATE TABLE blobs (
+    hash TEXT PRIMARY KEY,
+    storage_key TEXT NOT NULL UNIQUE,
+    size INTEGER NOT NULL,
+    mimetype TEXT NOT NULL,
+    ref_count INTEGER NOT NULL DEFAULT 0,
+    created_time TEXT NOT NULL
+  );
+  ALTER TABLE images ADD COLUMN hash TEXT REFERENCES blobs (hash);
+  ALTER TABLE images ADD COLUMN storage_key TEXT;
+  UPDATE images SET storage_key = filename;
+  CREATE INDEX idx_images_hash ON images (hash);
+  `,
+
+  // 3: 從圖片內容讀出的資訊（EXIF 等）
+  `
+  ALTER TABLE images ADD COLUMN width INTEGER;
+  ALTER TABLE images ADD COLUMN height INTEGER;
+  ALTER TABLE images ADD COLUMN orientation INTEGER;
+  ALTER TABLE images ADD COLUMN camera_make TEXT;
+  ALTER TABLE images ADD COLUMN camera_model TEXT;
+  ALTER TABLE images ADD COLUMN taken_at TEXT;
+  ALTER TABLE images ADD COLUMN color_profile TEXT;
+  CREATE INDEX idx_images_taken_at ON images (taken_at);
+  `,
+
+  // 4: 相簿，每張圖片最多屬於一個相簿
+  `
+  CREATE TABLE albums (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_time TEXT NOT NULL,
+    updated_time TEXT
+  );
+  ALTER TABLE images ADD COLUMN album_id TEXT
+    REFERENCES albums (id) ON DELETE SET NULL;
+  CREATE INDEX idx_images_album_id ON images (album_id);
+  `,
+
+  // 5: 標籤、說明和全文搜尋索引
+  // images_fts 用 trigram 分詞，中文也能用子字串搜尋；由 trigger 保持同步
+  `
+  ALTER TABLE images ADD COLUMN description TEXT;
+  CREATE TABLE image_tags (
+    image_id TEXT NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (image_id, tag)
+  );
+  CREATE INDEX idx_image_tags_tag ON image_tags (tag);
+
+  CREATE VIRTUAL TABLE images_fts USING fts5 (
+    image_id UNINDEXED,
+    name,
+    tags,
+    description,
+    tokenize = 'trigram'
+  );
+  INSERT INTO images_fts (image_id, name, tags, description)
+    SELECT id, original_name, '', '' FROM images;
+
+  CREATE TRIGGER images_fts_insert AFTER INSERT ON images BEGIN
+    INSERT INTO images_fts (image_id, name, tags, description)
+    VALUES (new.id, new.original_name, '', COALESCE(new.description, ''));
+  END;
+  CREATE TRIGGER images_fts_update
+  AFTER UPDATE OF original_name, description ON images BEGIN
+    UPDATE images_fts
+    SET name = new.original_name, description = COALESCE(new.description, '')
+    WHERE image_id = new.id;
+  END;
+  CREATE TRIGGER images_fts_delete AFTER DELETE ON images BEGIN
+    DELETE FROM images_fts WHERE image_id = old.id;
+  END;
+  CREATE TRIGGER image_tags_fts_insert AFTER INSERT ON image_tags BEGIN
+    UPDATE images_fts
+    SET tags = (
+      SELECT group_concat(tag, ' ') FROM image_tags
+      WHERE image_id = new.image_id
+    )
+    WHERE image_id = new.image_id;
+  END;
+  CREATE TRIGGER image_tags_fts_delete AFTER DELETE ON image_tags BEGIN
+    UPDATE images_fts
+    SET tags = COALESCE((
+      SELECT group_concat(tag, ' ') FROM image_tags
+      WHERE image_id = old.image_id
+    ), '')
+    WHERE image_id = old.image_id;
+  END;
+  `,
+
+  // 6: 垃圾桶，deleted_at 有值代表已刪除、等待永久清除
+  `
+  ALTER TABLE images ADD COLUMN deleted_at TEXT;
+  CREATE INDEX idx_images_deleted_at ON images (deleted_at);
+  `,
+
+  // 7: 可見性和到期時間，expires_at 有值的圖片到期後會自動刪除
+  `
+  ALTER TABLE images ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public';
+  ALTER TABLE images ADD COLUMN expires_at TEXT;
+  CREATE INDEX idx_images_expires_at ON images (expires_at);
+  `,
+
+  // 8: 上傳者（API key 的 id），用來計算用量和配額
+  `
+  ALTER TABLE images ADD COLUMN owner_id TEXT;
+  CREATE INDEX idx_images_owner_id ON images (owner_id);
+  `,
+
+  // 9: webhook 訂閱和送出紀錄
+  `
+  CREATE TABLE webhooks (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    events TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_time TEXT NOT NULL,
+    updated_time TEXT
+  );
+
+  CREATE TABLE webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_time TEXT,
+    last_attempt_time TEXT,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_time TEXT NOT NULL
+  );
+  CREATE INDEX idx_webhook_deliveries_due
+    ON webhook_deliveries (status, next_attempt_time);
+  CREATE INDEX idx_webhook_deliveries_webhook_id
+    ON webhook_deliveries (webhook_id, created_time);
+  `,
+
+  // 10: 響應式版本（JSON 陣列），屬於內容相同的 blob
+  `
+  ALTER TABLE blobs ADD COLUMN variants TEXT;
+  `,
+
+  // 11: 取代圖片內容（網址不變）時保留的舊版本，每個版本和圖片記錄一樣引用一個 blob
+  // version 是目前內容的版本編號，replaced_time 是最後一次取代或還原的時間
+  `
+  ALTER TABLE images ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+  ALTER TABLE images ADD COLUMN replaced_time TEXT;
+  CREATE TABLE image_versions (
+    image_id TEXT NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    hash TEXT REFERENCES blobs (hash),
+    storage_key TEXT NOT NULL,
+    mimetype TEXT NOT NULL,
+    size INTEGER NOT NULL DEFAULT 0,
+    width INTEGER,
+    height INTEGER,
+    orientation INTEGER,
+    camera_make TEXT,
+    camera_model TEXT,
+    taken_at TEXT,
+    color_profile TEXT,
+    created_time TEXT NOT NULL,
+    PRIMARY KEY (image_id, version)
+  );
+  CREATE INDEX idx_image_versions_hash ON image_versions (hash);
+  `,
+
+  // 12: 網址改在回傳圖片時以檔名組成，移除上傳時寫死網域的 url 欄位
+  // （舊記錄的網址可能是舊網域或 images_meta.json 的相對路徑）
+  `
+  ALTER TABLE images DROP COLUMN url;
+  `,
+
+  // 13: 完整性檢查發現檔案有問題的圖片：missing（檔案不存在）或 corrupted（大小或內容不符）
+  `
+  ALTER TABLE images ADD COLUMN file_status TEXT;
+  `,
+
+  // 14: 感知雜湊（dHash），用來找出相似的圖片；屬於內容，舊版本也保存
+  // 既有的圖片在啟動後於背景補上
+  `
+  ALTER TABLE images ADD COLUMN perceptual_hash TEXT;
+  ALTER TABLE image_versions ADD COLUMN perceptual_hash TEXT;
+  `,
+];
+
+function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+
+  for (let version = current; version < migrations.length; version++) {
+    db.transaction(() => {
+      db.exec(migrations[version]);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+// 開啟（必要時建立）資料庫並執行 migrations
+function openDatabase(file) {
+  fsSync.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+  return db;
+}
+
+module.exports = { openDatabase };
@@ -0,0 +1,56 @@
+// 依檔案開頭的 magic bytes 判斷圖片格式，不信任客戶端提供的 mimetype 和副檔名
+
+const SIGNATURES = [
+  {
+    format: "jpeg",
+    mimetype: "image/jpeg",
+    ext: ".jpg",
+    match: (buffer) =>
+      buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  {
+    format: "png",
+    mimetype: "image/png",
+    ext: ".png",
+    match: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    format: "gif",
+    mimetype: "image/gif",
+    ext: ".gif",
+    match: (buffer) => {
+      const header = buffer.toString("ascii", 0, 6);
+      return header === "GIF87a" || header === "GIF89a";
+    },
+  },
+  {
+    format: "webp",
+    mimetype: "image/webp",
+    ext: ".webp",
+    match: (buffer) =>
+      buffer.toString("ascii", 0, 4) === "RIFF" &&
+      buffer.toString("ascii", 8, 12) === "WEBP",
+  },
+];
+
+// 回傳 { format, mimetype, ext }，無法辨識時回傳 null
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  const signature = SIGNATURES.find((item) => item.match(buffer));
+  if (!signature) return null;
+
+  const { format, mimetype, ext } = signature;
+  return { format, mimetype, ext };
+}
+
+// image/jpg 是常見的非標準寫法，視為 image/jpeg
+function normalizeMimetype(mimetype) {
+  const value = String(mimetype || "").toLowerCase();
+  return value === "image/jpg" ? "image/jpeg" : value;
+}
+
+module.exports = { detectImageType, normalizeMimetype };
@@ -0,0 +1,1110 @@
+// 圖片 metadata repository，取代原本的 images_meta.json
+
+// 圖片物件欄位和資料表欄位的對應
+const COLUMNS = {
+  id: "id",
+  filename: "filename",
+  originalName: "original_name",
+  mimetype: "mimetype",
+  size: "size",
+  uploadTime: "upload_time",
+  updatedTime: "updated_time",
+  hash: "hash",
+  storageKey: "storage_key",
+  width: "width",
+  height: "height",
+  orientation: "orientation",
+  cameraMake: "camera_make",
+  cameraModel: "camera_model",
+  takenAt: "taken_at",
+  colorProfile: "color_profile",
+  albumId: "album_id",
+  description: "description",
+  deletedAt: "deleted_at",
+  visibility: "visibility",
+  expiresAt: "expires_at",
+  ownerId: "owner_id",
+  version: "version",
+  replacedTime: "replaced_time",
+  fileStatus: "file_status",
+  perceptualHash: "perceptual_hash",
+};
+
+// 取代圖片時會換掉的欄位：檔案本身和從內容讀出的資訊，舊版本也保存這些欄位
+const CONTENT_COLUMNS = {
+  hash: "hash",
+  storageKey: "storage_key",
+  mimetype: "mimetype",
+  size: "size",
+  width: "width",
+  height: "height",
+  orientation: "orientation",
+  cameraMake: "camera_make",
+  cameraModel: "camera_model",
+  takenAt: "taken_at",
+  colorProfile: "color_profile",
+  perceptualHash: "perceptual_hash",
+};
+
+// 每張圖片最多保留幾個舊版本，超過時刪除最舊的
+const MAX_VERSIONS = 10;
+
+// 排序方式（對應 /manage 的 sortSelect）
+// 搜尋時會和 images_fts join，rowid 要指明是 images 的
+const SORTS = {
+  newest: "upload_time DESC, images.rowid DESC",
+  oldest: "upload_time ASC, images.rowid ASC",
+  name: "original_name COLLATE NOCASE ASC, images.rowid ASC",
+  size: "size DESC, images.rowid DESC",
+  // 垃圾桶用：最近刪除的在前面
+  deleted: "deleted_at DESC, images.rowid DESC",
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_FACETS = 20;
+
+// public：任何人都能以網址讀取；private：需要登入或簽署過的網址
+const VISIBILITIES = ["public", "private"];
+
+// trigram 分詞至少要 3 個字才能用全文索引，較短的關鍵字改用 LIKE
+const MIN_MATCH_LENGTH = 3;
+
+// 整理標籤：接受陣列或逗號分隔的字串，去除空白、轉小寫並去掉重複
+function normalizeTags(value) {
+  if (value === undefined || value === null || value === "") return [];
+
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const tags = [];
+  for (const item of list) {
+    if (typeof item !== "string") {
+      throw new Error("標籤必須是字串");
+    }
+    const tag = item.trim().replace(/\s+/g, " ").toLowerCase();
+    if (!tag || tags.includes(tag)) continue;
+    if (tag.length > MAX_TAG_LENGTH) {
+      throw new Error(`標籤「${tag}」超過 ${MAX_TAG_LENGTH} 個字`);
+    }
+    tags.push(tag);
+  }
+
+  if (tags.length > MAX_TAGS) {
+    throw new Error(`每張圖片最多 ${MAX_TAGS} 個標籤`);
+  }
+  return tags;
+}
+
+// 整理說明文字，空字串代表清除
+function normalizeDescription(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") {
+    throw new Error("說明必須是字串");
+  }
+  const description = value.trim();
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new Error(`說明不能超過 ${MAX_DESCRIPTION_LENGTH} 個字`);
+  }
+  return description || null;
+}
+
+// 檢查可見性，沒有提供時回傳 undefined
+function normalizeVisibility(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (!VISIBILITIES.includes(value)) {
+    throw new Error(`visibility 只能是 ${VISIBILITIES.join(", ")}`);
+  }
+  return value;
+}
+
+// 整理到期時間（ISO 8601），必須是未來的時間；空值代表不會到期
+function normalizeExpiresAt(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+
+  const date = new Date(value);
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    throw new Error("expiresAt 不是有效的日期");
+  }
+  if (date.getTime() <= Date.now()) {
+    throw new Error("expiresAt 必須是未來的時間");
+  }
+  return date.toISOString();
+}
+
+function parseNumber(value, name, min) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`參數 ${name} 必須是大於等於 ${min} 的整數`);
+  }
+  return number;
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`參數 ${name} 不是有效的日期`);
+  }
+  return date.toISOString();
+}
+
+// 解析 GET /api/images 的查詢參數，格式錯誤時丟出錯誤
+function parseListQuery(query) {
+  const options = {
+    page: parseNumber(query.page, "page", 1) || 1,
+    limit: parseNumber(query.limit, "limit", 1) || DEFAULT_LIMIT,
+    q: query.q ? String(query.q).trim() : "",
+    sort: query.sort || "newest",
+    mimetypes: query.mimetype
+      ? String(query.mimetype)
+          .split(",")
+          .map((type) => type.trim())
+          .filter(Boolean)
+      : [],
+    from: parseDate(query.from, "from"),
+    to: parseDate(query.to, "to"),
+    minSize: parseNumber(query.minSize, "minSize", 0),
+    maxSize: parseNumber(query.maxSize, "maxSize", 0),
+    minWidth: parseNumber(query.minWidth, "minWidth", 0),
+    maxWidth: parseNumber(query.maxWidth, "maxWidth", 0),
+    minHeight: parseNumber(query.minHeight, "minHeight", 0),
+    maxHeight: parseNumber(query.maxHeight, "maxHeight", 0),
+    camera: query.camera ? String(query.camera).trim() : "",
+    takenFrom: parseDate(query.takenFrom, "takenFrom"),
+    takenTo: parseDate(query.takenTo, "takenTo"),
+    albumId: query.albumId ? String(query.albumId) : undefined,
+    tags: normalizeTags(query.tag),
+    visibility: normalizeVisibility(query.visibility),
+  };
+
+  if (!SORTS[options.sort]) {
+    throw new Error(`參數 sort 只能是 ${Object.keys(SORTS).join(", ")}`);
+  }
+  options.limit = Math.min(options.limit, MAX_LIMIT);
+
+  return options;
+}
+
+// 解析 GET /api/search 的查詢參數，q 必填，預設依相關度排序
+function parseSearchQuery(query) {
+  const sort = query.sort || "relevance";
+  if (sort !== "relevance" && !SORTS[sort]) {
+    throw new Error(
+      `參數 sort 只能是 relevance, ${Object.keys(SORTS).join(", ")}`
+    );
+  }
+  const options = parseListQuery({
+    ...query,
+    sort: sort === "relevance" ? "newest" : sort,
+  });
+  options.sort = sort;
+
+  if (!options.q) {
+    throw new Error("請提供搜尋關鍵字 q");
+  }
+  return options;
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+// 依篩選條件組出 WHERE 子句
+// 預設只查詢未刪除的圖片，options.trash 為 true 時只查詢垃圾桶中的圖片
+function buildWhere(options) {
+  const conditions = [
+    options.trash ? "deleted_at IS NOT NULL" : "deleted_at IS NULL",
+  ];
+  const params = {};
+
+  if (options.q) {
+    conditions.push("original_name LIKE @q ESCAPE '\\'");
+    params.q = `%${escapeLike(options.q)}%`;
+  }
+  if (options.mimetypes && options.mimetypes.length > 0) {
+    const names = options.mimetypes.map((type, index) => {
+      params[`mimetype${index}`] = type;
+      return `@mimetype${index}`;
+    });
+    conditions.push(`mimetype IN (${names.join(", ")})`);
+  }
+  if (options.from) {
+    conditions.push("upload_time >= @from");
+    params.from = options.from;
+  }
+  if (options.to) {
+    conditions.push("upload_time <= @to");
+    params.to = options.to;
+  }
+  if (options.minSize !== undefined) {
+    conditions.push("size >= @minSize");
+    params.minSize = options.minSize;
+  }
+  if (options.maxSize !== undefined) {
+    conditions.push("size <= @maxSize");
+    params.maxSize = options.maxSize;
+  }
+  for (const [key, column, operator] of [
+    ["minWidth", "width", ">="],
+    ["maxWidth", "width", "<="],
+    ["minHeight", "height", ">="],
+    ["maxHeight", "height", "<="],
+  ]) {
+    if (options[key] !== undefined) {
+      conditions.push(`${column} ${operator} @${key}`);
+      params[key] = options[key];
+    }
+  }
+  if (options.camera) {
+    conditions.push(
+      "(COALESCE(camera_make, '') || ' ' || COALESCE(camera_model, '')) LIKE @camera ESCAPE '\\'"
+    );
+    params.camera = `%${escapeLike(options.camera)}%`;
+  }
+  if (options.takenFrom) {
+    conditions.push("taken_at >= @takenFrom");
+    params.takenFrom = options.takenFrom;
+  }
+  if (options.takenTo) {
+    conditions.push("taken_at <= @takenTo");
+    params.takenTo = options.takenTo;
+  }
+  // albumId=none 代表未分類的圖片
+  if (options.albumId === "none") {
+    conditions.push("album_id IS NULL");
+  } else if (options.albumId) {
+    conditions.push("album_id = @albumId");
+    params.albumId = options.albumId;
+  }
+  if (options.visibility) {
+    conditions.push("visibility = @visibility");
+    params.visibility = options.visibility;
+  }
+  // 多個標籤時必須全部符合
+  (options.tags || []).forEach((tag, index) => {
+    conditions.push(
+      `id IN (SELECT image_id FROM image_tags WHERE tag = @tag${index})`
+    );
+    params[`tag${index}`] = tag;
+  });
+
+  return { where: `WHERE ${conditions.join(" AND ")}`, params };
+}
+
+// 把搜尋字串拆成關鍵字，長的組成 FTS5 查詢，短的改用 LIKE 比對
+// 每個關鍵字都必須出現在檔名、標籤或說明其中之一
+function buildSearch(q) {
+  const terms = Array.from(new Set(q.split(/\s+/).filter(Boolean)));
+  const matchTerms = terms.filter(
+    (term) => Array.from(term).length >= MIN_MATCH_LENGTH
+  );
+  const conditions = [];
+  const params = {};
+
+  if (matchTerms.length > 0) {
+    conditions.push("images_fts MATCH @match");
+    params.match = matchTerms
+      .map((term) => `"${term.replace(/"/g, '""')}"`)
+      .join(" ");
+  }
+  terms
+    .filter((term) => !matchTerms.includes(term))
+    .forEach((term, index) => {
+      const columns = ["name", "tags", "description"].map(
+        (column) => `images_fts.${column} LIKE @term${index} ESCAPE '\\'`
+      );
+      conditions.push(`(${columns.join(" OR ")})`);
+      params[`term${index}`] = `%${escapeLike(term)}%`;
+    });
+
+  return { conditions, params, ranked: matchTerms.length > 0 };
+}
+
+function toImage(row) {
+  if (!row) return null;
+
+  const image = {};
+  for (const [key, column] of Object.entries(COLUMNS)) {
+    image[key] = row[column];
+  }
+  if (!image.updatedTime) {
+    delete image.updatedTime;
+  }
+  if (!image.deletedAt) {
+    delete image.deletedAt;
+  }
+  if (!image.expiresAt) {
+    delete image.expiresAt;
+  }
+  if (!image.replacedTime) {
+    delete image.replacedTime;
+  }
+  if (!image.fileStatus) {
+    delete image.fileStatus;
+  }
+  return image;
+}
+
+function toVersion(row) {
+  if (!row) return null;
+
+  const version = { version: row.version };
+  for (const [key, column] of Object.entries(CONTENT_COLUMNS)) {
+    version[key] = row[column];
+  }
+  version.createdTime = row.created_time;
+  return version;
+}
+
+function toBlob(row) {
+  if (!row) return null;
+  return {
+    hash: row.hash,
+    storageKey: row.storage_key,
+    size: row.size,
+    mimetype: row.mimetype,
+    refCount: row.ref_count,
+    variants: row.variants ? JSON.parse(row.variants) : null,
+  };
+}
+
+function createImageRepository(db) {
+  const columnList = Object.values(COLUMNS).join(", ");
+  const paramList = Object.keys(COLUMNS)
+    .map((key) => `@${key}`)
+    .join(", ");
+  const contentColumnList = Object.values(CONTENT_COLUMNS).join(", ");
+  const contentParamList = Object.keys(CONTENT_COLUMNS)
+    .map((key) => `@${key}`)
+    .join(", ");
+  const contentAssignments = Object.entries(CONTENT_COLUMNS)
+    .map(([key, column]) => `${column} = @${key}`)
+    .join(", ");
+
+  const statements = {
+    findById: db.prepare("SELECT * FROM images WHERE id = ?"),
+    findByIds: db.prepare(
+      "SELECT * FROM images WHERE id IN (SELECT value FROM json_each(?))"
+    ),
+    findByFilename: db.prepare("SELECT * FROM images WHERE filename = ?"),
+    insert: db.prepare(
+      `INSERT INTO images (${columnList}) VALUES (${paramList})`
+    ),
+    insertIgnore: db.prepare(
+      `INSERT OR IGNORE INTO images (${columnList}) VALUES (${paramList})`
+    ),
+    update: db.prepare(`
+      UPDATE images
+      SET original_name = COALESCE(@originalName, original_name),
+          description = CASE
+            WHEN @setDescription THEN @description ELSE description
+          END,
+          visibility = COALESCE(@visibility, visibility),
+          expires_at = CASE
+            WHEN @setExpiresAt THEN @expiresAt ELSE expires_at
+          END,
+          updated_time = @updatedTime
+      WHERE id = @id
+    `),
+    tagsFor: db.prepare(`
+      SELECT image_id, tag FROM image_tags
+      WHERE image_id IN (SELECT value FROM json_each(?))
+      ORDER BY tag
+    `),
+    addTag: db.prepare(
+      "INSERT OR IGNORE INTO image_tags (image_id, tag) VALUES (?, ?)"
+    ),
+    removeTag: db.prepare(
+      "DELETE FROM image_tags WHERE image_id = ? AND tag = ?"
+    ),
+    clearTags: db.prepare("DELETE FROM image_tags WHERE image_id = ?"),
+    touch: db.prepare("UPDATE images SET updated_time = ? WHERE id = ?"),
+    listTags: db.prepare(`
+      SELECT tag, COUNT(*) AS count FROM image_tags
+      JOIN images ON images.id = image_tags.image_id
+      WHERE images.deleted_at IS NULL
+      GROUP BY tag ORDER BY count DESC, tag
+    `),
+    trash: db.prepare(
+      "UPDATE images SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL"
+    ),
+    activeIds: db.prepare("SELECT id FROM images WHERE deleted_at IS NULL"),
+    restore: db.prepare(
+      "UPDATE images SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL"
+    ),
+    trashedBefore: db.prepare(
+      "SELECT id FROM images WHERE deleted_at IS NOT NULL AND deleted_at <= ?"
+    ),
+    expiredBefore: db.prepare(
+      "SELECT id FROM images WHERE expires_at IS NOT NULL AND expires_at <= ?"
+    ),
+    remove: db.prepare("DELETE FROM images WHERE id = ?"),
+    findBlob: db.prepare("SELECT * FROM blobs WHERE hash = ?"),
+    acquireBlob: db.prepare(`
+      INSERT INTO blobs
+        (hash, storage_key, size, mimetype, ref_count, variants, created_time)
+      VALUES (@hash, @storageKey, @size, @mimetype, 1, @variants, @createdTime)
+      ON CONFLICT (hash) DO UPDATE SET
+        ref_count = ref_count + 1,
+        variants = COALESCE(variants, excluded.variants)
+    `),
+    releaseBlob: db.prepare(
+      "UPDATE blobs SET ref_count = ref_count - 1 WHERE hash = ?"
+    ),
+    removeUnusedBlob: db.prepare(
+      "DELETE FROM blobs WHERE hash = ? AND ref_count <= 0 RETURNING storage_key, variants"
+    ),
+    variantsFor: db.prepare(`
+      SELECT hash, variants FROM blobs
+      WHERE hash IN (SELECT value FROM json_each(?)) AND variants IS NOT NULL
+    `),
+    stats: db.prepare(`
+      SELECT COUNT(*) AS totalImages, COALESCE(SUM(size), 0) AS totalSize
+      FROM images WHERE deleted_at IS NULL
+    `),
+    trashStats: db.prepare(`
+      SELECT COUNT(*) AS totalImages, COALESCE(SUM(size), 0) AS totalSize
+      FROM images WHERE deleted_at IS NOT NULL
+    `),
+    usage: db.prepare(`
+      SELECT COUNT(*) AS images,
+        COALESCE(SUM(size), 0) + (
+          SELECT COALESCE(SUM(image_versions.size), 0) FROM image_versions
+          JOIN images AS owned ON owned.id = image_versions.image_id
+          WHERE owned.owner_id = @ownerId
+        ) AS bytes,
+        COUNT(deleted_at) AS trashedImages
+      FROM images WHERE owner_id = @ownerId
+    `),
+    usageByOwner: db.prepare(`
+      SELECT owner_id AS ownerId, COUNT(*) AS images,
+        COALESCE(SUM(size), 0) + (
+          SELECT COALESCE(SUM(image_versions.size), 0) FROM image_versions
+          JOIN images AS owned ON owned.id = image_versions.image_id
+          WHERE owned.owner_id IS images.owner_id
+        ) AS bytes,
+        COUNT(deleted_at) AS trashedImages
+      FROM images GROUP BY owner_id ORDER BY bytes DESC
+    `),
+    updateContent: db.prepare(`
+      UPDATE images
+      SET ${contentAssignments},
+          version = @version,
+          replaced_time = @replacedTime,
+          updated_time = @replacedTime,
+          file_status = NULL
+      WHERE id = @id
+    `),
+    insertVersion: db.prepare(`
+      INSERT INTO image_versions
+        (image_id, version, ${contentColumnList}, created_time)
+      VALUES (@imageId, @version, ${contentParamList}, @createdTime)
+    `),
+    listVersions: db.prepare(
+      "SELECT * FROM image_versions WHERE image_id = ? ORDER BY version DESC"
+    ),
+    findVersion: db.prepare(
+      "SELECT * FROM image_versions WHERE image_id = ? AND version = ?"
+    ),
+    maxVersion: db.prepare(
+      "SELECT MAX(version) AS version FROM image_versions WHERE image_id = ?"
+    ),
+    // 第 offset 個之後（較舊）的版本
+    oldVersions: db.prepare(`
+      SELECT * FROM image_versions WHERE image_id = ?
+      ORDER BY version DESC LIMIT -1 OFFSET ?
+    `),
+    removeVersion: db.prepare(
+      "DELETE FROM image_versions WHERE image_id = ? AND version = ?"
+    ),
+    removeVersions: db.prepare("DELETE FROM image_versions WHERE image_id = ?"),
+    allImages: db.prepare("SELECT * FROM images ORDER BY upload_time, rowid"),
+    allVersions: db.prepare(
+      "SELECT * FROM image_versions ORDER BY image_id, version"
+    ),
+    allBlobs: db.prepare("SELECT * FROM blobs ORDER BY created_time, hash"),
+    setFileStatus: db.prepare(
+      "UPDATE images SET file_status = ? WHERE id = ? AND file_status IS NOT ?"
+    ),
+    countBlobRefs: db.prepare(`
+      SELECT (SELECT COUNT(*) FROM images WHERE hash = @hash)
+        + (SELECT COUNT(*) FROM image_versions WHERE hash = @hash) AS count
+    `),
+    setRefCount: db.prepare("UPDATE blobs SET ref_count = ? WHERE hash = ?"),
+    setBlobVariants: db.prepare("UPDATE blobs SET variants = ? WHERE hash = ?"),
+    removeBlob: db.prepare("DELETE FROM blobs WHERE hash = ?"),
+    perceptualHashes: db.prepare(`
+      SELECT id, perceptual_hash FROM images
+      WHERE deleted_at IS NULL AND perceptual_hash IS NOT NULL
+      ORDER BY upload_time, rowid
+    `),
+    missingPerceptualHashes: db.prepare(`
+      SELECT id, storage_key FROM images
+      WHERE deleted_at IS NULL AND perceptual_hash IS NULL
+      ORDER BY upload_time DESC, rowid DESC
+    `),
+    setPerceptualHash: db.prepare(
+      "UPDATE images SET perceptual_hash = ? WHERE id = ? AND storage_key = ?"
+    ),
+  };
+
+  function toParams(image) {
+    const params = {};
+    for (const key of Object.keys(COLUMNS)) {
+      params[key] = image[key] === undefined ? null : image[key];
+    }
+    params.size = image.size || 0;
+    params.storageKey = image.storageKey || image.filename;
+    params.visibility = image.visibility || "public";
+    params.version = image.version || 1;
+    return params;
+  }
+
+  function toContentParams(content) {
+    const params = {};
+    for (const key of Object.keys(CONTENT_COLUMNS)) {
+      params[key] = content[key] === undefined ? null : content[key];
+    }
+    params.size = content.size || 0;
+    return params;
+  }
+
+  // 減少內容的 blob 引用數，不再被任何圖片或舊版本引用時刪除 blob，
+  // 並把檔案和響應式版本的 key 加到 unusedKeys；引用 blob 的記錄必須先刪除
+  function releaseContent(content, unusedKeys) {
+    if (!content.hash) {
+      // 去重複功能之前上傳的圖片沒有 blob，檔案只屬於這筆記錄
+      unusedKeys.push(content.storageKey);
+      return;
+    }
+    statements.releaseBlob.run(content.hash);
+    const blob = statements.removeUnusedBlob.get(content.hash);
+    if (blob) {
+      unusedKeys.push(blob.storage_key);
+      for (const variant of JSON.parse(blob.variants || "[]")) {
+        unusedKeys.push(variant.storageKey);
+      }
+    }
+  }
+
+  // 加上同一個 blob 的響應式版本，沒有版本時是空陣列（網址在回傳時才加上）
+  function withVariants(images) {
+    const variantsByHash = new Map();
+    const hashes = images.map((image) => image.hash).filter(Boolean);
+    if (hashes.length > 0) {
+      for (const row of statements.variantsFor.all(JSON.stringify(hashes))) {
+        variantsByHash.set(row.hash, JSON.parse(row.variants));
+      }
+    }
+    for (const image of images) {
+      image.variants = variantsByHash.get(image.hash) || [];
+    }
+    return images;
+  }
+
+  // 一次查出多張圖片的標籤，加到 tags 欄位
+  function withTags(images) {
+    const tagsById = new Map(images.map((image) => [image.id, []]));
+    if (images.length > 0) {
+      const ids = JSON.stringify(Array.from(tagsById.keys()));
+      for (const row of statements.tagsFor.all(ids)) {
+        tagsById.get(row.image_id).push(row.tag);
+      }
+    }
+    for (const image of images) {
+      image.tags = tagsById.get(image.id);
+    }
+    return images;
+  }
+
+  // 分頁查詢，回傳該頁的圖片和符合條件的總數
+  function query(options) {
+    const { where, params } = buildWhere(options);
+    const offset = (options.page - 1) * options.limit;
+
+    const { total } = db
+      .prepare(`SELECT COUNT(*) AS total FROM images ${where}`)
+      .get(params);
+    const rows = db
+      .prepare(
+        `SELECT * FROM images ${where}
+         ORDER BY ${SORTS[options.sort]}
+         LIMIT @limit OFFSET @offset`
+      )
+      .all({ ...params, limit: options.limit, offset });
+
+    return { images: withVariants(withTags(rows.map(toImage))), total };
+  }
+
+  // 全文搜尋檔名、標籤和說明，回傳該頁的圖片、總數和標籤統計
+  // sort 為 relevance 時依 bm25 排序，檔名的權重最高，其次是標籤
+  function search(options) {
+    // q 改由全文索引比對，不套用只比對檔名的 LIKE 條件
+    const filters = buildWhere({ ...options, q: "" });
+    const search = buildSearch(options.q);
+    const conditions = [...search.conditions];
+    if (filters.where) {
+      conditions.push(filters.where.replace(/^WHERE /, ""));
+    }
+    const params = { ...filters.params, ...search.params };
+    const from = `
+      FROM images_fts JOIN images ON images.id = images_fts.image_id
+      WHERE ${conditions.join(" AND ")}
+    `;
+
+    let orderBy = SORTS[options.sort] || SORTS.newest;
+    if (options.sort === "relevance" && search.ranked) {
+      orderBy = `bm25(images_fts, 0, 10.0, 5.0, 1.0), ${SORTS.newest}`;
+    }
+    const offset = (options.page - 1) * options.limit;
+
+    const { total } = db
+      .prepare(`SELECT COUNT(*) AS total ${from}`)
+      .get(params);
+    const rows = db
+      .prepare(
+        `SELECT images.* ${from}
+         ORDER BY ${orderBy}
+         LIMIT @limit OFFSET @offset`
+      )
+      .all({ ...params, limit: options.limit, offset });
+    const facets = db
+      .prepare(
+        `SELECT tag, COUNT(*) AS count FROM image_tags
+         WHERE image_id IN (SELECT images.id ${from})
+         GROUP BY tag ORDER BY count DESC, tag
+         LIMIT ${MAX_FACETS}`
+      )
+      .all(params);
+
+    return {
+      images: withVariants(withTags(rows.map(toImage))),
+      total,
+      facets: { tags: facets },
+    };
+  }
+
+  // 所有標籤和使用次數
+  function listTags() {
+    return statements.listTags.all();
+  }
+
+  function stats() {
+    return statements.stats.get();
+  }
+
+  function trashStats() {
+    return statements.trashStats.get();
+  }
+
+  // 上傳者的用量，垃圾桶中的圖片和舊版本還佔用空間，也算在內
+  // bytes 是每筆記錄和舊版本的大小總和，和其他記錄共用的檔案也會計算
+  function usage(ownerId) {
+    return statements.usage.get({ ownerId });
+  }
+
+  // 每個上傳者的用量，功能加入前上傳的圖片 ownerId 是 null
+  function usageByOwner() {
+    return statements.usageByOwner.all();
+  }
+
+  function findById(id) {
+    const image = toImage(statements.findById.get(id));
+    return image && withVariants(withTags([image]))[0];
+  }
+
+  // 依 ids 的順序回傳，找不到的略過
+  function findByIds(ids) {
+    const rows = statements.findByIds.all(JSON.stringify(ids));
+    const byId = new Map(rows.map((row) => [row.id, toImage(row)]));
+    const images = ids.map((id) => byId.get(id)).filter(Boolean);
+    return withVariants(withTags(images));
+  }
+
+  // 預設不包含垃圾桶中的圖片
+  function findByFilename(filename, includeTrashed = false) {
+    const image = toImage(statements.findByFilename.get(filename));
+    if (image && image.deletedAt && !includeTrashed) return null;
+    return image && withVariants([image])[0];
+  }
+
+  function findBlob(hash) {
+    return toBlob(statements.findBlob.get(hash));
+  }
+
+  // 一次新增多筆，全部成功或全部失敗
+  // 有 hash 的圖片會增加對應 blob 的引用數（blob 不存在時建立）
+  // variants 是上傳時產生的響應式版本，blob 原本沒有版本時才會記錄
+  const insertMany = db.transaction((images) => {
+    const createdTime = new Date().toISOString();
+    for (const image of images) {
+      const params = toParams(image);
+      if (params.hash) {
+        statements.acquireBlob.run({
+          ...params,
+          variants: image.variants ? JSON.stringify(image.variants) : null,
+          createdTime,
+        });
+      }
+      statements.insert.run(params);
+      for (const tag of image.tags || []) {
+        statements.addTag.run(image.id, tag);
+      }
+    }
+    return images.map((image) => findById(image.id));
+  });
+
+  // 匯入舊資料用：已存在的 id 或檔名會略過，回傳實際新增的筆數
+  const importMany = db.transaction((images) => {
+    let imported = 0;
+    for (const image of images) {
+      imported += statements.insertIgnore.run(toParams(image)).changes;
+    }
+    return imported;
+  });
+
+  // 還原備份用：新增一筆圖片記錄（含標籤和舊版本 versions），保留原本的 id、時間和版本編號
+  // blobs 是 hash 對應備份中 blob 資訊的 Map，blob 不存在時以這些資訊建立
+  const importImage = db.transaction((image, blobs) => {
+    const createdTime = new Date().toISOString();
+    const versions = image.versions || [];
+    for (const content of [image, ...versions]) {
+      if (!content.hash) continue;
+      const blob = blobs.get(content.hash) || content;
+      statements.acquireBlob.run({
+        hash: content.hash,
+        storageKey: blob.storageKey,
+        size: blob.size || 0,
+        mimetype: blob.mimetype,
+        variants: blob.variants ? JSON.stringify(blob.variants) : null,
+        createdTime,
+      });
+    }
+
+    statements.insert.run(toParams(image));
+    for (const tag of image.tags || []) {
+      statements.addTag.run(image.id, tag);
+    }
+    for (const version of versions) {
+      statements.insertVersion.run({
+        ...toContentParams(version),
+        imageId: image.id,
+        version: version.version,
+        createdTime: version.createdTime || createdTime,
+      });
+    }
+    return findById(image.id);
+  });
+
+  // 更新檔名、說明、標籤、可見性或到期時間，沒給的欄位維持原樣
+  // tags 會整組取代，expiresAt 為 null 代表取消到期
+  const update = db.transaction((id, changes) => {
+    const setDescription = changes.description !== undefined;
+    const setExpiresAt = changes.expiresAt !== undefined;
+    const result = statements.update.run({
+      id,
+      originalName: changes.originalName || null,
+      setDescription: setDescription ? 1 : 0,
+      description: setDescription ? changes.description : null,
+      visibility: changes.visibility || null,
+      setExpiresAt: setExpiresAt ? 1 : 0,
+      expiresAt: setExpiresAt ? changes.expiresAt : null,
+      updatedTime: new Date().toISOString(),
+    });
+    if (result.changes === 0) return null;
+
+    if (changes.tags) {
+      statements.clearTags.run(id);
+      for (const tag of changes.tags) {
+        statements.addTag.run(id, tag);
+      }
+    }
+    return findById(id);
+  });
+
+  // 批次加上或移除標籤，回傳實際有變動的圖片
+  const updateTags = db.transaction((ids, { add = [], remove = [] }) => {
+    const updatedTime = new Date().toISOString();
+    const updated = [];
+
+    for (const id of ids) {
+      let changes = 0;
+      for (const tag of add) {
+        changes += statements.addTag.run(id, tag).changes;
+      }
+      for (const tag of remove) {
+        changes += statements.removeTag.run(id, tag).changes;
+      }
+      if (changes === 0) continue;
+
+      // 超過上限時整個批次回復
+      const count = statements.tagsFor.all(JSON.stringify([id])).length;
+      if (count > MAX_TAGS) {
+        const error = new Error(`每張圖片最多 ${MAX_TAGS} 個標籤`);
+        error.status = 400;
+        throw error;
+      }
+      statements.touch.run(updatedTime, id);
+      updated.push(findById(id));
+    }
+    return updated;
+  });
+
+  // 把圖片移到垃圾桶，回傳實際移入的圖片（已在垃圾桶中的會略過）
+  // 檔案會保留到永久刪除時才處理
+  const trashMany = db.transaction((ids) => {
+    const deletedAt = new Date().toISOString();
+    const trashed = [];
+    for (const id of ids) {
+      if (statements.trash.run(deletedAt, id).changes > 0) {
+        trashed.push(findById(id));
+      }
+    }
+    return trashed;
+  });
+
+  // 把全部圖片移到垃圾桶，回傳移入的圖片
+  function trashAll() {
+    return trashMany(statements.activeIds.all().map((row) => row.id));
+  }
+
+  // 從垃圾桶還原，回傳實際還原的圖片
+  const restoreMany = db.transaction((ids) => {
+    const restored = [];
+    for (const id of ids) {
+      if (statements.restore.run(id).changes > 0) {
+        restored.push(findById(id));
+      }
+    }
+    return restored;
+  });
+
+  // 永久刪除在 before 之前移到垃圾桶的圖片，回傳值和 removeMany 相同
+  function purgeTrash(before) {
+    const ids = statements.trashedBefore.all(before).map((row) => row.id);
+    return removeMany(ids);
+  }
+
+  // 永久刪除在 now 之前到期的圖片（包含垃圾桶中的），回傳值和 removeMany 相同
+  function removeExpired(now) {
+    const ids = statements.expiredBefore.all(now).map((row) => row.id);
+    return removeMany(ids);
+  }
+
+  // 永久刪除圖片記錄（包含舊版本），回傳已刪除的圖片和不再被引用、可以刪除的檔案 key
+  const removeMany = db.transaction((ids) => {
+    const removed = [];
+    const unusedKeys = [];
+
+    for (const id of ids) {
+      const image = findById(id);
+      if (!image) continue;
+
+      const versions = statements.listVersions.all(id).map(toVersion);
+      statements.removeVersions.run(id);
+      statements.remove.run(id);
+      removed.push(image);
+
+      releaseContent(image, unusedKeys);
+      for (const version of versions) {
+        releaseContent(version, unusedKeys);
+      }
+    }
+
+    return { removed, unusedKeys };
+  });
+
+  function remove(id) {
+    return removeMany([id]);
+  }
+
+  // 備份用：全部的圖片（包含垃圾桶中的，含標籤和舊版本 versions）和 blob
+  function exportAll() {
+    const images = withTags(statements.allImages.all().map(toImage));
+    const versionsById = new Map(images.map((image) => [image.id, []]));
+    for (const row of statements.allVersions.all()) {
+      versionsById.get(row.image_id).push(toVersion(row));
+    }
+    for (const image of images) {
+      image.versions = versionsById.get(image.id);
+    }
+    return { images, blobs: statements.allBlobs.all().map(toBlob) };
+  }
+
+  // 完整性檢查用：記錄圖片檔案的狀態，statuses 是 id 對應狀態（null 代表正常）的 Map
+  // 回傳實際有變動的筆數
+  const setFileStatuses = db.transaction((statuses) => {
+    let changed = 0;
+    for (const [id, status] of statuses) {
+      changed += statements.setFileStatus.run(status, id, status).changes;
+    }
+    return changed;
+  });
+
+  // 完整性檢查用：以實際引用的記錄數修正 blob 的引用數，沒有任何引用時刪除 blob 記錄
+  // （檔案由呼叫端處理）；variants 有提供時取代原本的響應式版本清單
+  // 回傳修正後的引用數
+  const repairBlob = db.transaction((hash, variants) => {
+    const { count } = statements.countBlobRefs.get({ hash });
+    if (count === 0) {
+      statements.removeBlob.run(hash);
+      return 0;
+    }
+    statements.setRefCount.run(count, hash);
+    if (variants !== undefined) {
+      statements.setBlobVariants.run(
+        variants.length > 0 ? JSON.stringify(variants) : null,
+        hash
+      );
+    }
+    return count;
+  });
+
+  // 不在垃圾桶中、已經有感知雜湊的圖片：[{ id, perceptualHash }]
+  function listPerceptualHashes() {
+    return statements.perceptualHashes.all().map((row) => ({
+      id: row.id,
+      perceptualHash: row.perceptual_hash,
+    }));
+  }
+
+  // 還沒有感知雜湊的圖片（功能加入前上傳的），新上傳的在前面：[{ id, storageKey }]
+  function listMissingPerceptualHashes() {
+    return statements.missingPerceptualHashes.all().map((row) => ({
+      id: row.id,
+      storageKey: row.storage_key,
+    }));
+  }
+
+  // 補上感知雜湊；計算期間內容已被取代時不更新，回傳是否有更新
+  function setPerceptualHash(id, storageKey, perceptualHash) {
+    const result = statements.setPerceptualHash.run(
+      perceptualHash,
+      id,
+      storageKey
+    );
+    return result.changes > 0;
+  }
+
+  // 圖片的舊版本，新的在前面
+  function listVersions(id) {
+    return statements.listVersions.all(id).map(toVersion);
+  }
+
+  function findVersion(id, version) {
+    return toVersion(statements.findVersion.get(id, version));
+  }
+
+  // 把圖片目前的內容存成舊版本
+  function archiveContent(image) {
+    statements.insertVersion.run({
+      ...toContentParams(image),
+      imageId: image.id,
+      version: image.version,
+      createdTime: image.replacedTime || image.uploadTime,
+    });
+  }
+
+  // 取代圖片的內容，網址、檔名和其他資訊不變，版本編號加一
+  // 原本的內容成為舊版本，超過 MAX_VERSIONS 個時刪除最舊的
+  // content 包含 CONTENT_COLUMNS 的欄位和新內容的 variants
+  // 回傳更新後的圖片和不再被引用、可以刪除的檔案 key；圖片不存在時回傳 null
+  const replaceContent = db.transaction((id, content) => {
+    const image = findById(id);
+    if (!image) return null;
+
+    const replacedTime = new Date().toISOString();
+    archiveContent(image);
+    const params = toContentParams(content);
+    if (params.hash) {
+      statements.acquireBlob.run({
+        ...params,
+        variants: content.variants ? JSON.stringify(content.variants) : null,
+        createdTime: replacedTime,
+      });
+    }
+    const { version } = statements.maxVersion.get(id);
+    statements.updateContent.run({
+      ...params,
+      id,
+      version: version + 1,
+      replacedTime,
+    });
+
+    const unusedKeys = [];
+    for (const row of statements.oldVersions.all(id, MAX_VERSIONS)) {
+      statements.removeVersion.run(id, row.version);
+      releaseContent(toVersion(row), unusedKeys);
+    }
+    return { image: findById(id), unusedKeys };
+  });
+
+  // 還原到舊版本：目前的內容成為舊版本，選擇的版本成為目前的內容（保留原本的版本編號）
+  // 回傳還原後的圖片；圖片或版本不存在時回傳 null
+  const rollback = db.transaction((id, version) => {
+    const image = findById(id);
+    const target = image && findVersion(id, version);
+    if (!target) return null;
+
+    archiveContent(image);
+    statements.removeVersion.run(id, version);
+    statements.updateContent.run({
+      ...toContentParams(target),
+      id,
+      version,
+      replacedTime: new Date().toISOString(),
+    });
+    return findById(id);
+  });
+
+  return {
+    query,
+    search,
+    listTags,
+    stats,
+    trashStats,
+    usage,
+    usageByOwner,
+    findById,
+    findByIds,
+    findByFilename,
+    findBlob,
+    insertMany,
+    importMany,
+    importImage,
+    exportAll,
+    setFileStatuses,
+    repairBlob,
+    listPerceptualHashes,
+    listMissingPerceptualHashes,
+    setPerceptualHash,
+    update,
+    updateTags,
+    trashMany,
+    trashAll,
+    restoreMany,
+    purgeTrash,
+    removeExpired,
+    remove,
+    removeMany,
+    listVersions,
+    findVersion,
+    replaceContent,
+    rollback,
+  };
+}
+
+module.exports = {
+  createImageRepository,
+  parseListQuery,
+  parseSearchQuery,
+  normalizeTags,
+  normalizeDescription,
+  normalizeVisibility,
+  normalizeExpiresAt,
+};
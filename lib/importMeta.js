@@ -0,0 +1,36 @@
+const fsSync = require("fs");
+
+// 把舊的 images_meta.json 匯入資料庫
+// 匯入完成後檔案會改名為 .imported，避免重複匯入
+function importMetaFile(images, metaFile) {
+  if (!fsSync.existsSync(metaFile)) {
+    return null;
+  }
+
+  const records = JSON.parse(fsSync.readFileSync(metaFile, "utf8"));
+  if (!Array.isArray(records)) {
+    throw new Error(`${metaFile} 的格式不正確，應該是陣列`);
+  }
+
+  const valid = records.filter(
+    (record) => record && record.id && record.filename
+  );
+  const imported = images.importMany(
+    valid.map((record) => ({
+      ...record,
+      originalName: record.originalName || record.filename,
+      mimetype: record.mimetype || "application/octet-stream",
+      uploadTime: record.uploadTime || new Date().toISOString(),
+    }))
+  );
+
+  fsSync.renameSync(metaFile, `${metaFile}.imported`);
+
+  return {
+    total: records.length,
+    imported,
+    skipped: records.length - imported,
+  };
+}
+
+module.exports = { importMetaFile };
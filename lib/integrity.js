@@ -0,0 +1,281 @@
+const crypto = require("crypto");
+const { readToBuffer } = require("./storage");
+
+// 完整性檢查：比對資料庫的記錄和儲存後端實際的檔案
+// 找出沒有記錄的孤兒檔案、記錄的檔案不存在、大小或內容（SHA-256）不符、blob 引用數錯誤，
+// 以及多筆沒有 hash 的記錄共用同一個檔案（刪除其中一筆會連帶刪掉其他記錄的檔案）
+// 圖片 id 是資料表的主鍵，資料庫不可能有重複的 id，不需要檢查
+
+// 孤兒檔案移到這個前綴下，不直接刪除，確認沒問題後再手動清掉
+const QUARANTINE_PREFIX = "quarantine/";
+
+// 最近一小時內寫入的檔案可能是還在處理的上傳（檔案已寫入、記錄還沒新增），不算孤兒檔案
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// 報告中各種問題的清單
+const ISSUE_TYPES = [
+  "orphanFiles",
+  "missingFiles",
+  "sizeMismatches",
+  "hashMismatches",
+  "refCountMismatches",
+  "sharedKeys",
+];
+
+function isRecent(file, now) {
+  return Boolean(
+    file.lastModified && now - new Date(file.lastModified) < ORPHAN_GRACE_MS
+  );
+}
+
+async function sha256Of(storage, key) {
+  const { stream } = await storage.getStream(key);
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+function createIntegrityChecker({ imageRepo, storage }) {
+  // 整理資料庫預期存在的檔案：key 對應 { key, size, sha256, references }
+  // 圖片和舊版本的內容使用 storageKey，有 hash 的內容另外以 hash 驗證內容；
+  // 響應式版本屬於 blob，只記錄大小。沒有任何記錄引用的 blob 不算，它的檔案是孤兒檔案
+  function collectExpected() {
+    const { images, blobs } = imageRepo.exportAll();
+    const expected = new Map();
+    const refCounts = new Map();
+
+    function expect(key, { size, sha256 }, reference) {
+      if (!expected.has(key)) {
+        expected.set(key, { key, size, sha256, references: [] });
+      }
+      expected.get(key).references.push(reference);
+    }
+
+    for (const image of images) {
+      const contents = [{ ...image, current: true }, ...image.versions];
+      for (const content of contents) {
+        expect(
+          content.storageKey,
+          { size: content.size, sha256: content.hash || null },
+          {
+            imageId: image.id,
+            version: content.version,
+            current: Boolean(content.current),
+            hash: content.hash || null,
+          }
+        );
+        if (content.hash) {
+          refCounts.set(content.hash, (refCounts.get(content.hash) || 0) + 1);
+        }
+      }
+    }
+
+    for (const blob of blobs) {
+      if (!refCounts.has(blob.hash)) continue;
+      for (const variant of blob.variants || []) {
+        expect(
+          variant.storageKey,
+          { size: variant.size, sha256: null },
+          { hash: blob.hash, variant: `${variant.width}w.${variant.format}` }
+        );
+      }
+    }
+
+    return { images, blobs, expected, refCounts };
+  }
+
+  // 檢查一次，回傳報告；verifyHashes 為 true 時讀取有 hash 的檔案計算 SHA-256（較慢）
+  // repair 為 true 時同時修復：修正 blob 引用數（沒有引用的 blob 刪除）、
+  // 從 blob 移除有問題的響應式版本、標記圖片的 fileStatus，最後把孤兒檔案移到 quarantine/
+  // 舊版本的檔案問題只回報，不修改
+  async function check({ verifyHashes = false, repair = false } = {}) {
+    const checkedTime = new Date();
+    const { images, blobs, expected, refCounts } = collectExpected();
+    const files = (await storage.list("")).filter(
+      (file) => !file.key.startsWith(QUARANTINE_PREFIX)
+    );
+    const filesByKey = new Map(files.map((file) => [file.key, file]));
+
+    const orphanFiles = files
+      .filter((file) => !expected.has(file.key) && !isRecent(file, checkedTime))
+      .map(({ key, size, lastModified }) => ({ key, size, lastModified }));
+
+    const missingFiles = [];
+    const sizeMismatches = [];
+    const hashMismatches = [];
+    for (const entry of expected.values()) {
+      const file = filesByKey.get(entry.key);
+      if (!file) {
+        missingFiles.push({ key: entry.key, references: entry.references });
+        continue;
+      }
+      // 舊版 images_meta.json 匯入的記錄可能沒有大小
+      if (entry.size && file.size !== entry.size) {
+        sizeMismatches.push({
+          key: entry.key,
+          expectedSize: entry.size,
+          actualSize: file.size,
+          references: entry.references,
+        });
+        continue;
+      }
+      if (verifyHashes && entry.sha256) {
+        let actualHash;
+        try {
+          actualHash = await sha256Of(storage, entry.key);
+        } catch (error) {
+          // 列出檔案之後才被刪除
+          if (error.code !== "ENOENT") throw error;
+          missingFiles.push({ key: entry.key, references: entry.references });
+          continue;
+        }
+        if (actualHash !== entry.sha256) {
+          hashMismatches.push({
+            key: entry.key,
+            expectedHash: entry.sha256,
+            actualHash,
+            references: entry.references,
+          });
+        }
+      }
+    }
+
+    const refCountMismatches = blobs
+      .filter((blob) => blob.refCount !== (refCounts.get(blob.hash) || 0))
+      .map((blob) => ({
+        hash: blob.hash,
+        recorded: blob.refCount,
+        actual: refCounts.get(blob.hash) || 0,
+      }));
+
+    // 有 hash 的記錄以相同內容共用 blob 的檔案是正常的，其他情況共用檔案都是問題
+    const sharedKeys = Array.from(expected.values())
+      .filter((entry) => {
+        const contents = entry.references.filter((ref) => ref.imageId);
+        return (
+          contents.length > 1 &&
+          contents.some((ref) => !ref.hash || ref.hash !== contents[0].hash)
+        );
+      })
+      .map(({ key, references }) => ({ key, references }));
+
+    const report = {
+      checkedTime: checkedTime.toISOString(),
+      verifyHashes,
+      ok: false,
+      summary: {
+        images: images.length,
+        versions: images.reduce((sum, image) => sum + image.versions.length, 0),
+        blobs: blobs.length,
+        files: files.length,
+      },
+      orphanFiles,
+      missingFiles,
+      sizeMismatches,
+      hashMismatches,
+      refCountMismatches,
+      sharedKeys,
+    };
+    for (const type of ISSUE_TYPES) {
+      report.summary[type] = report[type].length;
+    }
+    report.ok = ISSUE_TYPES.every((type) => report[type].length === 0);
+
+    if (repair) {
+      report.repaired = await repairIssues(report, {
+        checkedTime,
+        images,
+        blobs,
+        files,
+      });
+    }
+    return report;
+  }
+
+  async function repairIssues(report, { checkedTime, images, blobs, files }) {
+    const repaired = {
+      refCounts: 0,
+      removedBlobs: 0,
+      removedVariants: 0,
+      fileStatuses: 0,
+      quarantined: [],
+      quarantineErrors: [],
+    };
+
+    // 有問題的檔案：missing 或 corrupted
+    const problems = new Map();
+    for (const { key } of report.missingFiles) {
+      problems.set(key, "missing");
+    }
+    for (const list of [report.sizeMismatches, report.hashMismatches]) {
+      for (const { key } of list) {
+        problems.set(key, "corrupted");
+      }
+    }
+
+    // 修正 blob：引用數錯誤的重新計算，有問題的響應式版本從清單移除
+    // （之後再上傳相同內容時會重新產生）
+    const blobRepairs = new Map();
+    for (const { hash } of report.refCountMismatches) {
+      blobRepairs.set(hash, undefined);
+    }
+    for (const blob of blobs) {
+      const variants = blob.variants || [];
+      const remaining = variants.filter(
+        (variant) => !problems.has(variant.storageKey)
+      );
+      if (remaining.length !== variants.length) {
+        blobRepairs.set(blob.hash, remaining);
+        repaired.removedVariants += variants.length - remaining.length;
+      }
+    }
+    for (const [hash, variants] of blobRepairs) {
+      if (imageRepo.repairBlob(hash, variants) === 0) {
+        repaired.removedBlobs++;
+      }
+    }
+    repaired.refCounts =
+      report.refCountMismatches.length - repaired.removedBlobs;
+
+    // 標記圖片目前內容的檔案狀態，檔案正常時清除標記
+    // 沒有驗證 hash 時無法確認內容正常，已標記為 corrupted 的圖片維持原狀
+    const statuses = new Map();
+    for (const image of images) {
+      const status = problems.get(image.storageKey) || null;
+      if (status || report.verifyHashes || image.fileStatus !== "corrupted") {
+        statuses.set(image.id, status);
+      }
+    }
+    repaired.fileStatuses = imageRepo.setFileStatuses(statuses);
+
+    // 修正資料庫之後重新整理預期的檔案：刪除的 blob 和移除的響應式版本的檔案也變成孤兒，
+    // 檢查之後新上傳的圖片共用的檔案則不會被移走
+    const { expected } = collectExpected();
+    const orphanKeys = files
+      .filter(
+        (file) =>
+          !expected.has(file.key) &&
+          (!isRecent(file, checkedTime) || problems.has(file.key))
+      )
+      .map((file) => file.key);
+
+    const stamp = report.checkedTime.replace(/[:.]/g, "-");
+    for (const key of orphanKeys) {
+      const quarantineKey = `${QUARANTINE_PREFIX}${stamp}/${key}`;
+      try {
+        await storage.put(quarantineKey, await readToBuffer(storage, key));
+        await storage.delete(key);
+        repaired.quarantined.push({ key, quarantineKey });
+      } catch (error) {
+        repaired.quarantineErrors.push({ key, error: error.message });
+      }
+    }
+    return repaired;
+  }
+
+  return { check };
+}
+
+module.exports = { QUARANTINE_PREFIX, createIntegrityChecker };
@@ -0,0 +1,136 @@
+const sharp = require("sharp");
+
+// 感知雜湊（dHash）：找出重新存檔、縮放或重新壓縮過的相似圖片
+// 把圖片轉正、轉成灰階並縮成 9×8，比較每一列相鄰像素的亮度得到 64 bits，以 16 位十六進位字串儲存
+// 兩張圖片雜湊不同的 bit 數（漢明距離）越小越相似；內容完全相同的檔案由 SHA-256 去重複處理
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// 預設的相似門檻：漢明距離不超過 10 視為相似（64 bits 中約 15%）
+const DEFAULT_MAX_DISTANCE = 10;
+const MAX_DISTANCE_LIMIT = 20;
+
+// 一次回傳幾筆（相似圖片或群組）
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// 動畫圖片只使用第一格
+async function computePerceptualHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .flatten({ background: "#ffffff" })
+    .greyscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hash = "";
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let row = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const offset = y * HASH_WIDTH + x;
+      row = (row << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+    }
+    hash += row.toString(16).padStart(2, "0");
+  }
+  return hash;
+}
+
+// 32 bits 整數中 1 的數量
+function popcount(value) {
+  let bits = value - ((value >>> 1) & 0x55555555);
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  return Math.imul((bits + (bits >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+// 把雜湊拆成兩個 32 bits 的整數，大量比較時不用每次重新解析字串
+function parseHash(hash) {
+  return [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8), 16)];
+}
+
+function distanceBetween(a, b) {
+  return popcount(a[0] ^ b[0]) + popcount(a[1] ^ b[1]);
+}
+
+function parseInteger(value, name, min, max, defaultValue) {
+  if (value === undefined || value === "") return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    const range = max === Infinity ? `大於等於 ${min} ` : ` ${min} 到 ${max} `;
+    throw new Error(`參數 ${name} 必須是${range}的整數`);
+  }
+  return number;
+}
+
+// 解析相似圖片 API 的查詢參數 maxDistance、page 和 limit，格式錯誤時丟出錯誤
+function parseSimilarQuery(query) {
+  return {
+    maxDistance: parseInteger(
+      query.maxDistance,
+      "maxDistance",
+      0,
+      MAX_DISTANCE_LIMIT,
+      DEFAULT_MAX_DISTANCE
+    ),
+    page: parseInteger(query.page, "page", 1, Infinity, 1),
+    limit: parseInteger(query.limit, "limit", 1, MAX_LIMIT, DEFAULT_LIMIT),
+  };
+}
+
+// 和 target 相似的圖片，entries 是 [{ id, perceptualHash }]
+// 回傳 [{ id, distance }]，依距離排序，不包含 target 本身
+function findSimilar(target, entries, maxDistance) {
+  const targetHash = parseHash(target.perceptualHash);
+  return entries
+    .filter((entry) => entry.id !== target.id)
+    .map((entry) => ({
+      id: entry.id,
+      distance: distanceBetween(targetHash, parseHash(entry.perceptualHash)),
+    }))
+    .filter((entry) => entry.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+// 把相似的圖片分群：距離不超過 maxDistance 的兩張圖片在同一群，
+// 相似關係會串連（A 像 B、B 像 C 時 A、B、C 同一群）
+// 回傳 [[id, ...], ...]，只包含兩張以上的群，大的群在前面
+function clusterSimilar(entries, maxDistance) {
+  const hashes = entries.map((entry) => parseHash(entry.perceptualHash));
+  const parents = entries.map((entry, index) => index);
+
+  function root(index) {
+    let current = index;
+    while (parents[current] !== current) {
+      parents[current] = parents[parents[current]];
+      current = parents[current];
+    }
+    return current;
+  }
+
+  // 兩兩比較，圖片數量的平方次，一萬張圖片約需要一秒
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (distanceBetween(hashes[i], hashes[j]) <= maxDistance) {
+        parents[root(j)] = root(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry.id);
+  });
+  return Array.from(groups.values())
+    .filter((ids) => ids.length > 1)
+    .sort((a, b) => b.length - a.length);
+}
+
+module.exports = {
+  computePerceptualHash,
+  parseSimilarQuery,
+  findSimilar,
+  clusterSimilar,
+};
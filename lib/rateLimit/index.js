@@ -0,0 +1,98 @@
+const { createMemoryStore } = require("./memory");
+const { createRedisStore } = require("./redis");
+
+// 依 RATE_LIMIT_STORE 環境變數建立限流計數器
+//
+// 每個計數器都提供相同的介面：
+//   increment(key, amount, windowMs) -> { count, resetTime }
+//   key 第一次出現或時間窗結束時從 0 開始計算，resetTime 是歸零的時間（毫秒）
+function createRateLimitStore() {
+  const driver = process.env.RATE_LIMIT_STORE || "memory";
+
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    case "redis":
+      return createRedisStore({
+        url: process.env.REDIS_URL,
+        prefix: process.env.REDIS_PREFIX,
+      });
+    default:
+      throw new Error(`不支援的限流計數器: ${driver}`);
+  }
+}
+
+// 預設以 IP 區分使用者
+// req.ip 依 trust proxy 設定從 X-Forwarded-For 取得，設定錯誤時可以被偽造
+function ipKey(req) {
+  return `ip:${req.ip}`;
+}
+
+function setRateLimitHeaders(res, result, now) {
+  const { rule, count, resetTime } = result;
+  res.set({
+    "RateLimit-Limit": String(rule.limit),
+    "RateLimit-Remaining": String(Math.max(0, rule.limit - count)),
+    "RateLimit-Reset": String(Math.max(0, Math.ceil((resetTime - now) / 1000))),
+    "RateLimit-Policy": `${rule.limit};w=${Math.ceil(rule.windowMs / 1000)}`,
+  });
+}
+
+// 建立限流中介層，rules 是 [{ name, limit, windowMs, cost?, message }]
+// cost(req) 是這個請求要計入的量（預設 1），limit 為 0 的規則不限制
+// getClientKey(req) 決定哪些請求共用同一組計數
+// 每個規則各自計數，任何一個超過時回應 429；RateLimit-* header 以剩餘比例最少的規則為準
+// 計數器無法使用時（例如 Redis 斷線）放行請求，不影響服務
+function createRateLimiter(store, rules, getClientKey = ipKey) {
+  const activeRules = rules.filter((rule) => rule.limit > 0);
+
+  return (req, res, next) => {
+    if (activeRules.length === 0) return next();
+
+    const client = getClientKey(req);
+    Promise.all(
+      activeRules.map((rule) => {
+        const cost = rule.cost ? rule.cost(req) : 1;
+        return store
+          .increment(`${rule.name}:${client}`, cost, rule.windowMs)
+          .then((counter) => ({ rule, ...counter }));
+      })
+    )
+      .then((results) => {
+        const now = Date.now();
+        const exceeded = results.filter(
+          (result) => result.count > result.rule.limit
+        );
+
+        if (exceeded.length > 0) {
+          // 多個規則都超過時，要等最晚歸零的那個
+          const blocking = exceeded.reduce((latest, result) =>
+            result.resetTime > latest.resetTime ? result : latest
+          );
+          const retryAfter = Math.max(
+            1,
+            Math.ceil((blocking.resetTime - now) / 1000)
+          );
+          setRateLimitHeaders(res, blocking, now);
+          res.set("Retry-After", String(retryAfter));
+          return res.status(429).json({
+            error: `${blocking.rule.message}，請在 ${retryAfter} 秒後再試`,
+          });
+        }
+
+        const tightest = results.reduce((min, result) =>
+          result.count / result.rule.limit > min.count / min.rule.limit
+            ? result
+            : min
+        );
+        setRateLimitHeaders(res, tightest, now);
+        next();
+      })
+      .catch((error) => {
+        console.error("限流計數失敗，暫時不限制:", error.message);
+        next();
+      });
+  };
+}
+
+module.exports = { createRateLimitStore, createRateLimiter };
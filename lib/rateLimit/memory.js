@@ -0,0 +1,27 @@
+// 記憶體中的計數器，只適合單一程序；多個程序或容器要共用計數時改用 Redis
+function createMemoryStore() {
+  const counters = new Map();
+
+  // 定期清掉已經過了時間窗的計數器
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetTime <= now) counters.delete(key);
+    }
+  }, 60 * 1000).unref();
+
+  async function increment(key, amount, windowMs) {
+    const now = Date.now();
+    let counter = counters.get(key);
+    if (!counter || counter.resetTime <= now) {
+      counter = { count: 0, resetTime: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count += amount;
+    return { count: counter.count, resetTime: counter.resetTime };
+  }
+
+  return { increment };
+}
+
+module.exports = { createMemoryStore };
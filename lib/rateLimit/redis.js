@@ -0,0 +1,48 @@
+const Redis = require("ioredis");
+
+// Redis（或相容的服務，例如 Valkey、KeyDB）中的計數器，多個程序可以共用
+// 只用到 SET NX PX、INCRBY、PTTL 和 MULTI/EXEC
+function createRedisStore({ url, prefix = "ratelimit:" }) {
+  if (!url) {
+    throw new Error("使用 Redis 計數器時必須設定 REDIS_URL");
+  }
+
+  // 連不上時不排隊等待，讓請求立刻失敗並由限流中介層放行
+  const client = new Redis(url, {
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  });
+  client.on("error", (error) => {
+    console.error("Redis 連線錯誤:", error.message);
+  });
+
+  async function increment(key, amount, windowMs) {
+    const fullKey = prefix + key;
+    // 時間窗開始時建立計數器並設定到期時間，之後只增加計數
+    const results = await client
+      .multi()
+      .set(fullKey, 0, "PX", windowMs, "NX")
+      .incrby(fullKey, amount)
+      .pttl(fullKey)
+      .exec();
+
+    const failed = results.find(([error]) => error);
+    if (failed) throw failed[0];
+
+    const count = results[1][1];
+    let ttl = results[2][1];
+    // 沒有到期時間的計數器（例如被手動修改過）不會自己歸零，補上到期時間
+    if (ttl < 0) {
+      await client.pexpire(fullKey, windowMs);
+      ttl = windowMs;
+    }
+    return {
+      count,
+      resetTime: Date.now() + ttl,
+    };
+  }
+
+  return { increment };
+}
+
+module.exports = { createRedisStore };
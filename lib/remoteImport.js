@@ -0,0 +1,271 @@
+const net = require("net");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+
+// 從網址或 data URI 取得圖片內容，給匯入 API 使用
+// 下載遠端圖片時會擋掉私有、loopback 等內部位址，避免 SSRF
+
+const DEFAULT_TIMEOUT = 10 * 1000;
+const DEFAULT_MAX_REDIRECTS = 3;
+
+// 不允許連線的位址範圍
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], // 本機（未指定）
+  ["10.0.0.0", 8], // 私有網路
+  ["100.64.0.0", 10], // CGNAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local（包含雲端 metadata 服務）
+  ["172.16.0.0", 12], // 私有網路
+  ["192.0.0.0", 24], // IETF 保留
+  ["192.0.2.0", 24], // 文件用
+  ["192.168.0.0", 16], // 私有網路
+  ["198.18.0.0", 15], // 效能測試用
+  ["198.51.100.0", 24], // 文件用
+  ["203.0.113.0", 24], // 文件用
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // 保留（包含廣播位址）
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128], // 未指定
+  ["::1", 128], // loopback
+  ["64:ff9b::", 96], // NAT64，可能轉到內部 IPv4 位址
+  ["2001:db8::", 32], // 文件用
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv6");
+}
+
+function importError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// 判斷位址是否屬於不允許連線的範圍，無法辨識的位址也視為不允許
+// IPv4-mapped IPv6（::ffff:a.b.c.d）會由 BlockList 以內含的 IPv4 判斷
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// 給 http.request 使用的 DNS 查詢，連線前檢查解析出的每個位址
+// 直接用檢查過的位址連線，避免 DNS rebinding（檢查和連線時解析到不同位址）
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(importError(`不允許連線到內部位址：${hostname}`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// 連線錯誤（DNS、連線被拒等）轉成 502
+function toImportError(error) {
+  return error.status ? error : importError(`下載失敗：${error.message}`, 502);
+}
+
+function parseMimetype(contentType) {
+  return String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+}
+
+// 從網址取出檔名，沒有時使用 image
+function filenameFromUrl(url) {
+  let name = "";
+  try {
+    name = decodeURIComponent(path.posix.basename(url.pathname));
+  } catch (error) {
+    name = path.posix.basename(url.pathname);
+  }
+  return name.trim() || "image";
+}
+
+// 解析 data URI（data:image/png;base64,...）
+function parseDataUri(uri, { maxSize, allowedTypes }) {
+  const match = uri.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+  if (!match) {
+    throw importError("data URI 格式錯誤");
+  }
+
+  const mimetype = parseMimetype(match[1]);
+  if (!allowedTypes.includes(mimetype)) {
+    throw importError("只允許上傳圖片檔案");
+  }
+  if (!match[2].split(";").includes("base64")) {
+    throw importError("data URI 必須使用 base64 編碼");
+  }
+
+  // base64 每 4 個字元是 3 bytes，先用長度估算，避免解碼超大的內容
+  const data = match[3].replace(/\s/g, "");
+  if (Math.floor((data.length * 3) / 4) > maxSize + 2) {
+    throw importError("檔案太大", 413);
+  }
+
+  const buffer = Buffer.from(data, "base64");
+  if (buffer.length === 0) {
+    throw importError("data URI 沒有內容");
+  }
+  if (buffer.length > maxSize) {
+    throw importError("檔案太大", 413);
+  }
+
+  return { buffer, mimetype, originalName: "image" };
+}
+
+// 下載一個網址（不處理轉址），回傳 { statusCode, headers, buffer }
+function request(url, options) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.get(url, {
+      lookup: options.allowPrivate ? undefined : safeLookup,
+      headers: { "User-Agent": "images-uploader", Accept: "image/*" },
+    });
+
+    // 只回應一次，之後的事件（例如中斷連線造成的錯誤）都忽略
+    let settled = false;
+    function settle(error, result) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        reject(toImportError(error));
+      } else {
+        resolve(result);
+      }
+    }
+
+    // 放棄這次下載；destroy 不帶錯誤，否則 socket 已經交還時錯誤會變成沒有人處理的 error 事件，
+    // 讓整個程序結束
+    function abort(error, res) {
+      settle(error);
+      if (res) res.destroy();
+      req.destroy();
+    }
+
+    const timer = setTimeout(() => {
+      abort(importError("下載逾時", 504));
+    }, options.timeout);
+
+    req.on("error", (error) => settle(error));
+
+    req.on("response", (res) => {
+      res.on("error", (error) => settle(error));
+
+      // 轉址不讀內容，交給呼叫端處理
+      if (res.statusCode >= 300 && res.statusCode < 400) {
+        res.resume();
+        return settle(null, {
+          statusCode: res.statusCode,
+          headers: res.headers,
+        });
+      }
+      if (res.statusCode !== 200) {
+        return abort(importError(`遠端伺服器回應 ${res.statusCode}`, 502), res);
+      }
+
+      const mimetype = parseMimetype(res.headers["content-type"]);
+      if (!options.allowedTypes.includes(mimetype)) {
+        return abort(importError("只允許上傳圖片檔案"), res);
+      }
+      if (Number(res.headers["content-length"]) > options.maxSize) {
+        return abort(importError("檔案太大", 413), res);
+      }
+
+      // 沒有 Content-Length 或數值不實時，邊讀邊檢查大小
+      const chunks = [];
+      let size = 0;
+      res.on("data", (chunk) => {
+        if (settled) return;
+        size += chunk.length;
+        if (size > options.maxSize) {
+          abort(importError("檔案太大", 413), res);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on("end", () => {
+        settle(null, {
+          statusCode: res.statusCode,
+          headers: res.headers,
+          buffer: Buffer.concat(chunks),
+        });
+      });
+    });
+  });
+}
+
+// 下載遠端圖片，回傳 { buffer, mimetype, originalName }
+//
+// options.maxSize      檔案大小上限（bytes）
+// options.allowedTypes 允許的 Content-Type
+// options.timeout      每次請求的逾時（毫秒）
+// options.maxRedirects 最多跟隨幾次轉址
+// options.allowPrivate 允許連線到內部位址，只應該在測試或內網部署時使用
+async function fetchRemoteImage(source, options) {
+  const settings = {
+    timeout: DEFAULT_TIMEOUT,
+    maxRedirects: DEFAULT_MAX_REDIRECTS,
+    allowPrivate: false,
+    ...options,
+  };
+
+  let url;
+  try {
+    url = new URL(source);
+  } catch (error) {
+    throw importError("網址格式錯誤");
+  }
+
+  for (let redirects = 0; ; redirects++) {
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw importError("只支援 http 和 https 網址");
+    }
+    if (url.username || url.password) {
+      throw importError("網址不能包含帳號密碼");
+    }
+
+    // 直接寫 IP 的網址不會經過 DNS 查詢，要另外檢查
+    const hostname = url.hostname.replace(/^\[|\]$/g, "");
+    if (
+      !settings.allowPrivate &&
+      net.isIP(hostname) &&
+      isPrivateAddress(hostname)
+    ) {
+      throw importError(`不允許連線到內部位址：${hostname}`);
+    }
+
+    const response = await request(url, settings);
+    if (response.buffer) {
+      return {
+        buffer: response.buffer,
+        mimetype: parseMimetype(response.headers["content-type"]),
+        originalName: filenameFromUrl(url),
+      };
+    }
+
+    if (redirects >= settings.maxRedirects) {
+      throw importError(`轉址超過 ${settings.maxRedirects} 次`, 502);
+    }
+    if (!response.headers.location) {
+      throw importError("遠端伺服器轉址但沒有提供 Location", 502);
+    }
+    url = new URL(response.headers.location, url);
+  }
+}
+
+module.exports = { fetchRemoteImage, parseDataUri, isPrivateAddress };
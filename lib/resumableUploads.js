@@ -0,0 +1,177 @@
+const path = require("path");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const { v4: uuidv4 } = require("uuid");
+
+// 可續傳的分段上傳：先建立上傳工作，再依序送出區塊，全部送完後組合成完整檔案
+// 區塊寫在暫存目錄的 <id>.part，狀態存在 <id>.json，服務重啟後仍然可以續傳
+
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 小時沒有進度就刪除
+
+function uploadError(message, status, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function createUploadSessions({ dir, maxSize }) {
+  fsSync.mkdirSync(dir, { recursive: true });
+
+  const sessions = new Map();
+  // 正在寫入或組合中的上傳工作，避免同一個工作同時被兩個請求修改
+  const busy = new Set();
+
+  const partPath = (id) => path.join(dir, `${id}.part`);
+  const statePath = (id) => path.join(dir, `${id}.json`);
+
+  // 載入重啟前的上傳工作
+  for (const file of fsSync.readdirSync(dir)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const session = JSON.parse(
+        fsSync.readFileSync(path.join(dir, file), "utf8")
+      );
+      sessions.set(session.id, session);
+    } catch (error) {
+      console.error("讀取上傳工作失敗:", file, error.message);
+    }
+  }
+
+  function save(session) {
+    return fs.writeFile(statePath(session.id), JSON.stringify(session));
+  }
+
+  function isExpired(session) {
+    return session.expires < Date.now();
+  }
+
+  // 建立上傳工作，fields 是完成時要套用的上傳欄位（相簿、標籤等）
+  async function create({ ownerId, filename, mimetype, size, fields }) {
+    if (!Number.isInteger(size) || size <= 0) {
+      throw uploadError("請提供檔案大小 size", 400);
+    }
+    if (size > maxSize) {
+      throw uploadError(`檔案太大，上限是 ${maxSize} bytes`, 413);
+    }
+
+    const session = {
+      id: uuidv4(),
+      ownerId,
+      filename,
+      mimetype,
+      size,
+      offset: 0,
+      fields,
+      createdTime: new Date().toISOString(),
+      expires: Date.now() + SESSION_TTL,
+    };
+
+    await fs.writeFile(partPath(session.id), "");
+    await save(session);
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  // 取得上傳工作，只有建立它的 API key 可以存取
+  function get(id, ownerId) {
+    const session = sessions.get(id);
+    if (!session || session.ownerId !== ownerId || isExpired(session)) {
+      throw uploadError("上傳工作不存在或已過期", 404);
+    }
+    return session;
+  }
+
+  // 在 offset 位置寫入一個區塊，offset 必須等於目前已收到的大小
+  async function appendChunk(id, ownerId, offset, chunk) {
+    const session = get(id, ownerId);
+
+    if (busy.has(id)) {
+      throw uploadError("這個上傳工作正在處理其他請求", 409, {
+        offset: session.offset,
+      });
+    }
+    if (offset !== session.offset) {
+      throw uploadError(
+        `區塊位置不符，目前已收到 ${session.offset} bytes`,
+        409,
+        { offset: session.offset }
+      );
+    }
+    if (session.offset + chunk.length > session.size) {
+      throw uploadError("區塊超過宣告的檔案大小", 400);
+    }
+
+    busy.add(id);
+    try {
+      // 依位置寫入，之前失敗留下的半個區塊會被覆蓋
+      const handle = await fs.open(partPath(id), "r+");
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+      } finally {
+        await handle.close();
+      }
+
+      session.offset += chunk.length;
+      session.expires = Date.now() + SESSION_TTL;
+      await save(session);
+      return session;
+    } finally {
+      busy.delete(id);
+    }
+  }
+
+  // 讀出組合好的完整檔案，全部區塊都收到之後才能呼叫
+  // 讀出後工作會保持鎖定，處理完要呼叫 remove，失敗想讓客戶端重試時呼叫 release
+  async function read(id, ownerId) {
+    const session = get(id, ownerId);
+
+    if (session.offset !== session.size) {
+      throw uploadError(
+        `檔案還沒上傳完成（${session.offset} / ${session.size} bytes）`,
+        409,
+        { offset: session.offset }
+      );
+    }
+    if (busy.has(id)) {
+      throw uploadError("這個上傳工作正在處理其他請求", 409, {
+        offset: session.offset,
+      });
+    }
+
+    busy.add(id);
+    try {
+      const buffer = await fs.readFile(partPath(id));
+      return { session, buffer: buffer.subarray(0, session.size) };
+    } catch (error) {
+      busy.delete(id);
+      throw error;
+    }
+  }
+
+  function release(id) {
+    busy.delete(id);
+  }
+
+  async function remove(id) {
+    sessions.delete(id);
+    busy.delete(id);
+    await Promise.all([
+      fs.unlink(partPath(id)).catch(() => {}),
+      fs.unlink(statePath(id)).catch(() => {}),
+    ]);
+  }
+
+  // 刪除過期的上傳工作，回傳刪除的數量
+  async function removeExpired() {
+    const expired = Array.from(sessions.values()).filter(
+      (session) => isExpired(session) && !busy.has(session.id)
+    );
+    await Promise.all(expired.map((session) => remove(session.id)));
+    return expired.length;
+  }
+
+  return { create, get, appendChunk, read, release, remove, removeExpired };
+}
+
+module.exports = { createUploadSessions };
@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+const path = require("path");
+const fsSync = require("fs");
+
+// HMAC 簽署的圖片網址：/images/<filename>?expires=<unix 秒>&signature=<hex>
+// 簽章涵蓋檔名和到期時間，到期前持有網址的人可以讀取私人圖片（也能加上轉換參數）
+
+// 讀取簽署用的密鑰：優先使用 URL_SIGNING_SECRET，沒有設定時產生一組存在 file
+// 密鑰改變後，之前簽出的網址都會失效
+function loadSigningSecret(file) {
+  if (process.env.URL_SIGNING_SECRET) {
+    return process.env.URL_SIGNING_SECRET;
+  }
+  if (fsSync.existsSync(file)) {
+    return fsSync.readFileSync(file, "utf8").trim();
+  }
+
+  const secret = crypto.randomBytes(32).toString("hex");
+  fsSync.mkdirSync(path.dirname(file), { recursive: true });
+  fsSync.writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+function createUrlSigner(secret) {
+  function computeSignature(filename, expires) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${filename}\n${expires}`)
+      .digest("hex");
+  }
+
+  // 簽署檔名，expiresAt 是 Date，回傳要加在網址後面的查詢參數
+  function sign(filename, expiresAt) {
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    return { expires, signature: computeSignature(filename, expires) };
+  }
+
+  // 檢查請求的簽章，回傳 valid、expired、invalid，沒有帶簽章時回傳 null
+  function verify(filename, query) {
+    if (query.signature === undefined && query.expires === undefined) {
+      return null;
+    }
+
+    const expires = Number(query.expires);
+    if (!Number.isInteger(expires) || typeof query.signature !== "string") {
+      return "invalid";
+    }
+
+    const expected = Buffer.from(computeSignature(filename, expires));
+    const actual = Buffer.from(query.signature);
+    if (
+      actual.length !== expected.length ||
+      !crypto.timingSafeEqual(actual, expected)
+    ) {
+      return "invalid";
+    }
+    return expires * 1000 > Date.now() ? "valid" : "expired";
+  }
+
+  return { sign, verify };
+}
+
+module.exports = { loadSigningSecret, createUrlSigner };
@@ -0,0 +1,44 @@
+const { createLocalStorage } = require("./local");
+const { createS3Storage } = require("./s3");
+
+// 依 STORAGE_DRIVER 環境變數建立儲存後端
+//
+// 每個後端都提供相同的介面：
+//   put(key, buffer, { contentType })
+//   getStream(key, range?) -> { stream, size, lastModified }，不存在時 error.code 為 "ENOENT"
+//                  range 是 { start, end }（包含 end），只讀取這段；size 一律是整個檔案的大小
+//   delete(key)    -> 檔案不存在時不會丟出錯誤
+//   exists(key)    -> boolean
+//   list(prefix)   -> [{ key, size, lastModified }]
+function createStorage({ localDir }) {
+  const driver = process.env.STORAGE_DRIVER || "local";
+
+  switch (driver) {
+    case "local":
+      return createLocalStorage(localDir);
+    case "s3":
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX,
+      });
+    default:
+      throw new Error(`不支援的儲存後端: ${driver}`);
+  }
+}
+
+// 把整個檔案讀成 Buffer（圖片轉換時使用）
+async function readToBuffer(storage, key) {
+  const { stream } = await storage.getStream(key);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = { createStorage, readToBuffer };
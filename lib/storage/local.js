@@ -0,0 +1,85 @@
+const path = require("path");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+
+// 本機磁碟儲存，key 對應到 rootDir 底下的相對路徑
+function createLocalStorage(rootDir) {
+  if (!fsSync.existsSync(rootDir)) {
+    fsSync.mkdirSync(rootDir, { recursive: true });
+  }
+
+  function resolveKey(key) {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error("無效的檔案 key");
+    }
+    return filePath;
+  }
+
+  async function put(key, data) {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // 先寫入暫存檔再改名，避免讀到寫一半的檔案
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async function getStream(key, range) {
+    const filePath = resolveKey(key);
+    const stats = await fs.stat(filePath);
+    return {
+      stream: fsSync.createReadStream(filePath, range),
+      size: stats.size,
+      lastModified: stats.mtime,
+    };
+  }
+
+  async function remove(key) {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  async function exists(key) {
+    try {
+      await fs.access(resolveKey(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async function list(prefix = "") {
+    const results = [];
+
+    async function walk(dir) {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (!entry.name.endsWith(".tmp")) {
+          const key = path
+            .relative(rootDir, entryPath)
+            .split(path.sep)
+            .join("/");
+          if (key.startsWith(prefix)) {
+            const stats = await fs.stat(entryPath);
+            results.push({ key, size: stats.size, lastModified: stats.mtime });
+          }
+        }
+      }
+    }
+
+    await walk(rootDir);
+    return results;
+  }
+
+  return { driver: "local", put, getStream, delete: remove, exists, list };
+}
+
+module.exports = { createLocalStorage };
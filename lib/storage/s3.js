@@ -0,0 +1,123 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+function isNotFound(error) {
+  return (
+    error.name === "NoSuchKey" ||
+    error.name === "NotFound" ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404)
+  );
+}
+
+// S3 相容儲存（AWS S3、MinIO、Cloudflare R2 等）
+function createS3Storage(options) {
+  if (!options.bucket) {
+    throw new Error("使用 S3 儲存時必須設定 S3_BUCKET");
+  }
+
+  const client = new S3Client({
+    region: options.region || "us-east-1",
+    endpoint: options.endpoint,
+    forcePathStyle: options.forcePathStyle,
+    credentials: options.accessKeyId
+      ? {
+          accessKeyId: options.accessKeyId,
+          secretAccessKey: options.secretAccessKey,
+        }
+      : undefined,
+  });
+  const bucket = options.bucket;
+  const prefix = options.prefix || "";
+
+  async function put(key, data, { contentType } = {}) {
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: prefix + key,
+        Body: data,
+        ContentType: contentType,
+      })
+    );
+  }
+
+  async function getStream(key, range) {
+    try {
+      const result = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: prefix + key,
+          Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+        })
+      );
+      // 讀取部分內容時，整個檔案的大小在 Content-Range（bytes 0-99/1234）
+      const total = result.ContentRange
+        ? Number(result.ContentRange.split("/")[1])
+        : NaN;
+      return {
+        stream: result.Body,
+        size: Number.isNaN(total) ? result.ContentLength : total,
+        lastModified: result.LastModified,
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        error.code = "ENOENT";
+      }
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    await client.send(
+      new DeleteObjectCommand({ Bucket: bucket, Key: prefix + key })
+    );
+  }
+
+  async function exists(key) {
+    try {
+      await client.send(
+        new HeadObjectCommand({ Bucket: bucket, Key: prefix + key })
+      );
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  async function list(keyPrefix = "") {
+    const results = [];
+    let continuationToken;
+
+    do {
+      const page = await client.send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix + keyPrefix,
+          ContinuationToken: continuationToken,
+        })
+      );
+      for (const object of page.Contents || []) {
+        results.push({
+          key: object.Key.slice(prefix.length),
+          size: object.Size,
+          lastModified: object.LastModified,
+        });
+      }
+      continuationToken = page.IsTruncated
+        ? page.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+
+    return results;
+  }
+
+  return { driver: "s3", put, getStream, delete: remove, exists, list };
+}
+
+module.exports = { createS3Storage };
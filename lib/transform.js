@@ -0,0 +1,165 @@
+const path = require("path");
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const sharp = require("sharp");
+
+// 可輸出的格式（fileFilter 允許的 mimetype，另外可以轉成 AVIF）
+const OUTPUT_FORMATS = {
+  jpeg: "image/jpeg",
+  jpg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+const FITS = ["cover", "contain", "fill", "inside", "outside"];
+const POSITIONS = [
+  "center",
+  "top",
+  "right",
+  "bottom",
+  "left",
+  "entropy",
+  "attention",
+];
+
+const MAX_DIMENSION = 4000;
+
+// 判斷請求是否帶有轉換參數
+function hasTransformParams(query) {
+  return ["w", "h", "fit", "format", "q", "position"].some(
+    (key) => query[key] !== undefined
+  );
+}
+
+function parseInteger(value, name, min, max) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`參數 ${name} 必須是 ${min} 到 ${max} 之間的整數`);
+  }
+  return number;
+}
+
+// 解析並驗證轉換參數，格式錯誤時丟出錯誤
+function parseTransformOptions(query) {
+  const options = {
+    width: parseInteger(query.w, "w", 1, MAX_DIMENSION),
+    height: parseInteger(query.h, "h", 1, MAX_DIMENSION),
+    quality: parseInteger(query.q, "q", 1, 100),
+    fit: query.fit || "cover",
+    position: query.position || "center",
+    format: query.format ? String(query.format).toLowerCase() : undefined,
+  };
+
+  if (!FITS.includes(options.fit)) {
+    throw new Error(`參數 fit 只能是 ${FITS.join(", ")}`);
+  }
+  if (!POSITIONS.includes(options.position)) {
+    throw new Error(`參數 position 只能是 ${POSITIONS.join(", ")}`);
+  }
+  if (options.format && !OUTPUT_FORMATS[options.format]) {
+    throw new Error(
+      `參數 format 只能是 ${Object.keys(OUTPUT_FORMATS).join(", ")}`
+    );
+  }
+  if (options.format === "jpg") {
+    options.format = "jpeg";
+  }
+
+  return options;
+}
+
+// 依檔名、內容的 hash 和參數產生識別碼，相同請求會對應到同一個快取檔案
+// 圖片內容被取代後 hash 不同，不會再用到舊內容的快取
+function getOptionsKey(filename, hash, options, format) {
+  const key = JSON.stringify([
+    filename,
+    hash,
+    options.width,
+    options.height,
+    options.fit,
+    options.position,
+    options.quality,
+    format,
+  ]);
+  return crypto.createHash("sha1").update(key).digest("hex").slice(0, 16);
+}
+
+// 產生（或從快取取得）轉換後的圖片，回傳檔案路徑、mimetype 和參數的識別碼
+// source 是圖片的 filename 和 hash，loadSource 只在快取不存在時才會被呼叫，回傳原圖的 Buffer
+async function getTransformedImage(source, loadSource, cacheDir, options) {
+  const { filename, hash } = source;
+  const extFormat = path.extname(filename).slice(1).toLowerCase();
+  let format = options.format || (extFormat === "jpg" ? "jpeg" : extFormat);
+  let image = null;
+
+  // 副檔名無法判斷格式時，讀取原圖判斷
+  if (!OUTPUT_FORMATS[format]) {
+    image = sharp(await loadSource(), { animated: true });
+    format = (await image.metadata()).format;
+  }
+  if (!OUTPUT_FORMATS[format]) {
+    throw new Error("不支援的圖片格式");
+  }
+
+  const optionsKey = getOptionsKey(filename, hash, options, format);
+  const cachePath = path.join(
+    cacheDir,
+    `${path.parse(filename).name}-${optionsKey}.${format}`
+  );
+  const result = {
+    path: cachePath,
+    mimetype: OUTPUT_FORMATS[format],
+    optionsKey,
+  };
+
+  try {
+    await fs.access(cachePath);
+    return result;
+  } catch (error) {
+    // 快取不存在，繼續產生
+  }
+
+  if (!image) {
+    image = sharp(await loadSource(), { animated: true });
+  }
+
+  let pipeline = image.rotate();
+  if (options.width || options.height) {
+    pipeline = pipeline.resize({
+      width: options.width,
+      height: options.height,
+      fit: options.fit,
+      position: options.position,
+      withoutEnlargement: true,
+    });
+  }
+  pipeline = pipeline.toFormat(format, { quality: options.quality });
+
+  // 先寫入暫存檔再改名，避免同時請求讀到寫一半的檔案
+  const tempPath = `${cachePath}.${process.pid}-${Date.now()}.tmp`;
+  await pipeline.toFile(tempPath);
+  await fs.rename(tempPath, cachePath);
+
+  return result;
+}
+
+// 刪除某張圖片的所有快取版本
+async function removeCachedImages(filename, cacheDir) {
+  const prefix = `${path.parse(filename).name}-`;
+  const files = await fs.readdir(cacheDir).catch(() => []);
+  await Promise.all(
+    files
+      .filter((file) => file.startsWith(prefix))
+      .map((file) => fs.unlink(path.join(cacheDir, file)).catch(() => {}))
+  );
+}
+
+module.exports = {
+  hasTransformParams,
+  parseTransformOptions,
+  getTransformedImage,
+  removeCachedImages,
+};
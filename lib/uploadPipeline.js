@@ -0,0 +1,125 @@
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+const icc = require("icc");
+const { detectImageType, normalizeMimetype } = require("./fileType");
+const { computePerceptualHash } = require("./perceptualHash");
+
+function validationError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function cleanString(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.replace(/\0/g, "").trim();
+  return trimmed || null;
+}
+
+// 讀取寬高、方向、相機、拍攝時間和色彩描述檔
+async function readImageMetadata(buffer) {
+  const info = await sharp(buffer).metadata();
+
+  let exif = {};
+  if (info.exif) {
+    try {
+      exif = exifReader(info.exif);
+    } catch (error) {
+      // EXIF 損壞時忽略，不影響上傳
+    }
+  }
+
+  let colorProfile = null;
+  if (info.icc) {
+    try {
+      colorProfile = cleanString(icc.parse(info.icc).description);
+    } catch (error) {
+      // 同上
+    }
+  }
+
+  const image = exif.Image || {};
+  const photo = exif.Photo || {};
+  const takenAt = photo.DateTimeOriginal || image.DateTime;
+  const orientation = info.orientation || 1;
+
+  // orientation 5~8 代表需要旋轉 90 度，顯示時寬高會互換
+  const rotated = orientation >= 5;
+
+  return {
+    width: (rotated ? info.height : info.width) || null,
+    height: (rotated ? info.width : info.height) || null,
+    orientation,
+    cameraMake: cleanString(image.Make),
+    cameraModel: cleanString(image.Model),
+    takenAt:
+      takenAt instanceof Date && !Number.isNaN(takenAt.getTime())
+        ? takenAt.toISOString()
+        : null,
+    colorProfile: colorProfile || info.space || null,
+    hasEmbeddedMetadata: Boolean(info.exif || info.xmp || info.iptc),
+  };
+}
+
+// 檢查上傳的檔案內容並準備要儲存的資料
+// 回傳 { buffer, mimetype, ext, metadata, metadataStripped }，
+// 檔案不合格時丟出 status 為 400 的錯誤
+//
+// options.reencode     一律重新編碼，移除夾帶的非圖片內容
+// options.keepMetadata 保留 EXIF（包含 GPS）等內嵌資料，預設會移除
+async function prepareUpload({ buffer, originalName, mimetype }, options = {}) {
+  const detected = detectImageType(buffer);
+  if (!detected) {
+    throw validationError(`「${originalName}」不是支援的圖片格式`);
+  }
+
+  if (mimetype && normalizeMimetype(mimetype) !== detected.mimetype) {
+    throw validationError(
+      `「${originalName}」的內容是 ${detected.mimetype}，與宣告的 ${mimetype} 不符`
+    );
+  }
+
+  let metadata;
+  try {
+    metadata = await readImageMetadata(buffer);
+  } catch (error) {
+    throw validationError(`「${originalName}」無法解碼：${error.message}`);
+  }
+
+  const stripMetadata = !options.keepMetadata && metadata.hasEmbeddedMetadata;
+  let output = buffer;
+
+  // 重新編碼會丟掉原檔中圖片資料以外的內容（例如夾帶的 HTML/腳本）
+  // 移除 EXIF 時先依 orientation 轉正，只保留色彩描述檔
+  if (options.reencode || stripMetadata) {
+    let pipeline = sharp(buffer, { animated: true });
+    pipeline = options.keepMetadata
+      ? pipeline.keepMetadata()
+      : pipeline.rotate().keepIccProfile();
+
+    try {
+      output = await pipeline
+        .toFormat(detected.format, { quality: 90 })
+        .toBuffer();
+    } catch (error) {
+      throw validationError(`「${originalName}」無法解碼：${error.message}`);
+    }
+  }
+
+  const { hasEmbeddedMetadata, ...imageMetadata } = metadata;
+  // 感知雜湊只用來找相似圖片，計算失敗時不影響上傳
+  try {
+    imageMetadata.perceptualHash = await computePerceptualHash(output);
+  } catch (error) {
+    imageMetadata.perceptualHash = null;
+  }
+  return {
+    buffer: output,
+    mimetype: detected.mimetype,
+    ext: detected.ext,
+    metadata: imageMetadata,
+    metadataStripped: stripMetadata,
+  };
+}
+
+module.exports = { prepareUpload };
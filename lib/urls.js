@@ -0,0 +1,84 @@
+const { getVariantUrl } = require("./variants");
+
+// 圖片網址：資料庫只記錄檔名，網址在回傳圖片時才組成，換網域或加上 CDN 不需要修改資料
+// PUBLIC_BASE_URL 是服務對外的網址，沒有設定時使用請求的網址
+// CDN_BASE_URL 設定時公開圖片改用 CDN 的網址；私人圖片需要驗證，一律使用服務本身的網址
+
+// 檢查並整理網址設定，去掉結尾的斜線；可以包含路徑（例如反向代理的子目錄）
+function parseBaseUrl(value, name) {
+  if (!value) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (error) {
+    throw new Error(`${name} 格式錯誤`);
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new Error(`${name} 只支援 http 和 https`);
+  }
+  if (parsed.search || parsed.hash) {
+    throw new Error(`${name} 不能包含查詢參數或 #`);
+  }
+  return `${parsed.origin}${parsed.pathname.replace(/\/+$/, "")}`;
+}
+
+function imagePath(image) {
+  return `/images/${encodeURIComponent(image.filename)}`;
+}
+
+function createUrlBuilder({ publicBaseUrl, cdnBaseUrl } = {}) {
+  const publicBase = parseBaseUrl(publicBaseUrl, "PUBLIC_BASE_URL");
+  const cdnBase = parseBaseUrl(cdnBaseUrl, "CDN_BASE_URL");
+
+  // 服務本身的圖片網址，baseUrl 是沒有設定 PUBLIC_BASE_URL 時使用的網址（通常來自請求）
+  // 兩者都沒有時回傳相對路徑
+  function originUrl(image, baseUrl) {
+    return (publicBase || baseUrl || "") + imagePath(image);
+  }
+
+  // 回傳給使用者的圖片網址：公開圖片在設定 CDN_BASE_URL 時使用 CDN
+  function imageUrl(image, baseUrl) {
+    if (cdnBase && image.visibility !== "private") {
+      return cdnBase + imagePath(image);
+    }
+    return originUrl(image, baseUrl);
+  }
+
+  // 回傳加上 url 的圖片，響應式版本也加上各自的 url
+  function withUrl(image, baseUrl) {
+    const url = imageUrl(image, baseUrl);
+    const result = { ...image, url };
+    if (image.variants) {
+      result.variants = image.variants.map((variant) => ({
+        ...variant,
+        url: getVariantUrl(url, variant),
+      }));
+    }
+    return result;
+  }
+
+  // CDN 可能快取的網址（原圖和響應式版本），清除快取用
+  // 圖片改成私人後仍然是原本的 CDN 網址；沒有設定任何網址時無法得知，回傳空陣列
+  function cachedUrls(image) {
+    const base = cdnBase || publicBase;
+    if (!base) return [];
+
+    const url = base + imagePath(image);
+    return [
+      url,
+      ...(image.variants || []).map((variant) => getVariantUrl(url, variant)),
+    ];
+  }
+
+  return {
+    publicBaseUrl: publicBase,
+    cdnBaseUrl: cdnBase,
+    originUrl,
+    imageUrl,
+    withUrl,
+    cachedUrls,
+  };
+}
+
+module.exports = { createUrlBuilder };
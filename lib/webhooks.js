@@ -0,0 +1,402 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+// Webhook：圖片和相簿有變動時，以 POST 把事件送到訂閱的網址
+// 每次送出都存在 webhook_deliveries，失敗時依 RETRY_DELAYS 重試，可以從 API 查詢送出紀錄
+
+const EVENTS = [
+  "image.uploaded",
+  "image.updated",
+  "image.deleted",
+  "image.restored",
+  "image.purged",
+  "image.replaced",
+  "album.created",
+  "album.updated",
+  "album.deleted",
+];
+
+// 第 n 次失敗後等待的秒數，用完後標記為 failed（最多送 6 次）
+const RETRY_DELAYS = [30, 2 * 60, 10 * 60, 60 * 60, 6 * 60 * 60];
+
+const DELIVERY_TIMEOUT = 10 * 1000;
+const BATCH_SIZE = 20;
+const DELIVERY_STATUSES = ["pending", "success", "failed"];
+
+function webhookError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// 檢查訂閱的網址，只允許 http 和 https
+function normalizeUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw webhookError("url 格式錯誤");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw webhookError("url 只支援 http 和 https");
+  }
+  return url.toString();
+}
+
+// 檢查訂閱的事件，"*" 代表全部
+function normalizeEvents(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw webhookError(`events 必須是事件陣列（${EVENTS.join(", ")} 或 *）`);
+  }
+  const events = Array.from(new Set(value));
+  const invalid = events.filter(
+    (event) => event !== "*" && !EVENTS.includes(event)
+  );
+  if (invalid.length > 0) {
+    throw webhookError(`不支援的事件: ${invalid.join(", ")}`);
+  }
+  return events;
+}
+
+// 簽章：HMAC-SHA256(secret, "<timestamp>.<body>")，timestamp 也要簽進去才能防止重送舊的請求
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// 不回傳 secret，只有建立時會回傳一次
+function toWebhook(row) {
+  if (!row) return null;
+
+  const webhook = {
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    active: Boolean(row.active),
+    createdTime: row.created_time,
+  };
+  if (row.updated_time) {
+    webhook.updatedTime = row.updated_time;
+  }
+  return webhook;
+}
+
+function toDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventId: row.event_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptTime: row.next_attempt_time,
+    lastAttemptTime: row.last_attempt_time,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    createdTime: row.created_time,
+    payload: JSON.parse(row.payload),
+  };
+}
+
+function createWebhookRepository(db) {
+  const statements = {
+    list: db.prepare("SELECT * FROM webhooks ORDER BY created_time"),
+    listActive: db.prepare("SELECT * FROM webhooks WHERE active = 1"),
+    findById: db.prepare("SELECT * FROM webhooks WHERE id = ?"),
+    insert: db.prepare(`
+      INSERT INTO webhooks (id, url, events, secret, active, created_time)
+      VALUES (@id, @url, @events, @secret, @active, @createdTime)
+    `),
+    update: db.prepare(`
+      UPDATE webhooks
+      SET url = COALESCE(@url, url),
+          events = COALESCE(@events, events),
+          active = COALESCE(@active, active),
+          updated_time = @updatedTime
+      WHERE id = @id
+    `),
+    remove: db.prepare("DELETE FROM webhooks WHERE id = ?"),
+    insertDelivery: db.prepare(`
+      INSERT INTO webhook_deliveries
+        (id, webhook_id, event_id, event, payload, next_attempt_time, created_time)
+      VALUES (@id, @webhookId, @eventId, @event, @payload, @createdTime, @createdTime)
+    `),
+    dueDeliveries: db.prepare(`
+      SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+      FROM webhook_deliveries
+      JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+      WHERE status = 'pending' AND next_attempt_time <= ?
+      ORDER BY next_attempt_time
+      LIMIT ?
+    `),
+    recordAttempt: db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = @status,
+          attempts = attempts + 1,
+          next_attempt_time = @nextAttemptTime,
+          last_attempt_time = @lastAttemptTime,
+          last_status_code = @lastStatusCode,
+          last_error = @lastError
+      WHERE id = @id
+    `),
+    findDelivery: db.prepare(
+      "SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?"
+    ),
+    retryDelivery: db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_time = ?
+      WHERE id = ? AND webhook_id = ?
+    `),
+    removeDeliveriesBefore: db.prepare(
+      "DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_time < ?"
+    ),
+  };
+
+  function list() {
+    return statements.list.all().map(toWebhook);
+  }
+
+  function findById(id) {
+    return toWebhook(statements.findById.get(id));
+  }
+
+  // 建立訂閱，回傳的 secret 用來驗證簽章，之後不會再出現
+  function create({ url, events, active = true }) {
+    const webhook = {
+      id: uuidv4(),
+      url: normalizeUrl(url),
+      events: JSON.stringify(normalizeEvents(events)),
+      secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+      active: active ? 1 : 0,
+      createdTime: new Date().toISOString(),
+    };
+    statements.insert.run(webhook);
+    return { ...findById(webhook.id), secret: webhook.secret };
+  }
+
+  // 更新網址、事件或是否啟用，沒給的欄位維持原樣；不存在時回傳 null
+  function update(id, changes) {
+    const result = statements.update.run({
+      id,
+      url: changes.url === undefined ? null : normalizeUrl(changes.url),
+      events:
+        changes.events === undefined
+          ? null
+          : JSON.stringify(normalizeEvents(changes.events)),
+      active: changes.active === undefined ? null : changes.active ? 1 : 0,
+      updatedTime: new Date().toISOString(),
+    });
+    return result.changes > 0 ? findById(id) : null;
+  }
+
+  // 刪除訂閱和它的送出紀錄
+  function remove(id) {
+    return statements.remove.run(id).changes > 0;
+  }
+
+  // 為訂閱了這個事件的 webhook 各建立一筆待送出的紀錄，回傳建立的筆數
+  const enqueue = db.transaction((event, payload) => {
+    const createdTime = new Date().toISOString();
+    const body = JSON.stringify(payload);
+    let count = 0;
+
+    for (const row of statements.listActive.all()) {
+      const events = JSON.parse(row.events);
+      if (!events.includes("*") && !events.includes(event)) continue;
+
+      statements.insertDelivery.run({
+        id: uuidv4(),
+        webhookId: row.id,
+        eventId: payload.id,
+        event,
+        payload: body,
+        createdTime,
+      });
+      count++;
+    }
+    return count;
+  });
+
+  // 到了送出時間的紀錄，包含 webhook 的網址和 secret
+  function dueDeliveries(now, limit) {
+    return statements.dueDeliveries.all(now, limit);
+  }
+
+  function recordAttempt(id, attempt) {
+    statements.recordAttempt.run({
+      id,
+      status: attempt.status,
+      nextAttemptTime: attempt.nextAttemptTime || null,
+      lastAttemptTime: new Date().toISOString(),
+      lastStatusCode: attempt.statusCode || null,
+      lastError: attempt.error || null,
+    });
+  }
+
+  // 查詢送出紀錄，新的在前面，可以用 status 篩選
+  function listDeliveries(webhookId, { status, page, limit }) {
+    const conditions = ["webhook_id = @webhookId"];
+    const params = { webhookId };
+    if (status) {
+      conditions.push("status = @status");
+      params.status = status;
+    }
+    const where = `WHERE ${conditions.join(" AND ")}`;
+
+    const { total } = db
+      .prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`)
+      .get(params);
+    const rows = db
+      .prepare(
+        `SELECT * FROM webhook_deliveries ${where}
+         ORDER BY created_time DESC, rowid DESC
+         LIMIT @limit OFFSET @offset`
+      )
+      .all({ ...params, limit, offset: (page - 1) * limit });
+
+    return { deliveries: rows.map(toDelivery), total };
+  }
+
+  // 把一筆紀錄重新排入佇列，從第一次開始計算重試次數；不存在時回傳 null
+  function retryDelivery(webhookId, id) {
+    const result = statements.retryDelivery.run(
+      new Date().toISOString(),
+      id,
+      webhookId
+    );
+    if (result.changes === 0) return null;
+    return toDelivery(statements.findDelivery.get(id, webhookId));
+  }
+
+  // 刪除 before 之前建立、已經送完（成功或放棄）的紀錄，回傳刪除的筆數
+  function removeDeliveriesBefore(before) {
+    return statements.removeDeliveriesBefore.run(before).changes;
+  }
+
+  return {
+    list,
+    findById,
+    create,
+    update,
+    remove,
+    enqueue,
+    dueDeliveries,
+    recordAttempt,
+    listDeliveries,
+    retryDelivery,
+    removeDeliveriesBefore,
+  };
+}
+
+// 負責送出事件：emit 建立紀錄後立刻嘗試送出，之後定期送出到期的重試
+function createWebhookDispatcher(repo, { timeout = DELIVERY_TIMEOUT } = {}) {
+  let processing = false;
+  let pendingRun = false;
+
+  async function send(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = delivery.payload;
+
+    let statusCode = null;
+    let error = null;
+    try {
+      const signature = signPayload(delivery.secret, timestamp, body);
+      const response = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "images-uploader-webhook",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signature}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeout),
+      });
+      statusCode = response.status;
+      // 不需要回應內容，讀完讓連線可以重複使用
+      await response.arrayBuffer().catch(() => {});
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error =
+        requestError.name === "TimeoutError"
+          ? "逾時"
+          : (requestError.cause && requestError.cause.message) ||
+            requestError.message;
+    }
+
+    if (!error) {
+      repo.recordAttempt(delivery.id, { status: "success", statusCode });
+      return;
+    }
+
+    const delay = RETRY_DELAYS[delivery.attempts];
+    repo.recordAttempt(delivery.id, {
+      status: delay === undefined ? "failed" : "pending",
+      nextAttemptTime:
+        delay === undefined
+          ? null
+          : new Date(Date.now() + delay * 1000).toISOString(),
+      statusCode,
+      error,
+    });
+  }
+
+  // 送出所有到期的紀錄，同一時間只會有一個批次在執行
+  async function processDue() {
+    if (processing) {
+      pendingRun = true;
+      return;
+    }
+    processing = true;
+    try {
+      do {
+        pendingRun = false;
+        let due;
+        while (
+          (due = repo.dueDeliveries(new Date().toISOString(), BATCH_SIZE))
+            .length > 0
+        ) {
+          await Promise.all(due.map(send));
+        }
+      } while (pendingRun);
+    } catch (error) {
+      console.error("送出 webhook 失敗:", error);
+    } finally {
+      processing = false;
+    }
+  }
+
+  // 發出事件，沒有人訂閱時不做任何事；發出失敗只記錄錯誤，不影響原本的操作
+  function emit(event, data) {
+    try {
+      const payload = {
+        id: uuidv4(),
+        event,
+        createdTime: new Date().toISOString(),
+        data,
+      };
+      if (repo.enqueue(event, payload) > 0) {
+        setImmediate(processDue);
+      }
+    } catch (error) {
+      console.error("建立 webhook 事件失敗:", event, error);
+    }
+  }
+
+  return { emit, processDue };
+}
+
+module.exports = {
+  EVENTS,
+  DELIVERY_STATUSES,
+  signPayload,
+  createWebhookRepository,
+  createWebhookDispatcher,
+};
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// 檢查資料庫記錄和儲存的檔案是否一致：
+// node scripts/check-integrity.js [--verify-hashes] [--repair] [--json]
+// --verify-hashes 讀取檔案驗證 SHA-256，--repair 修復發現的問題，--json 輸出完整報告
+// 發現問題時（沒有 --repair）結束代碼為 1
+const path = require("path");
+const { openDatabase } = require("../lib/db");
+const { createImageRepository } = require("../lib/images");
+const { createStorage } = require("../lib/storage");
+const { createIntegrityChecker } = require("../lib/integrity");
+
+const args = process.argv.slice(2);
+const unknown = args.filter(
+  (arg) => !["--verify-hashes", "--repair", "--json"].includes(arg)
+);
+if (unknown.length > 0) {
+  console.error("不支援的參數:", unknown.join(" "));
+  process.exit(1);
+}
+
+const dbFile =
+  process.env.DATABASE_FILE || path.join(__dirname, "..", "data", "images.db");
+
+const LABELS = {
+  orphanFiles: "孤兒檔案（沒有記錄）",
+  missingFiles: "檔案不存在",
+  sizeMismatches: "大小不符",
+  hashMismatches: "內容不符",
+  refCountMismatches: "blob 引用數錯誤",
+  sharedKeys: "多筆記錄共用檔案",
+};
+
+function describe(type, issue) {
+  switch (type) {
+    case "orphanFiles":
+      return `${issue.key}（${issue.size} bytes）`;
+    case "sizeMismatches":
+      return `${issue.key}（應為 ${issue.expectedSize} bytes，實際 ${issue.actualSize} bytes）`;
+    case "refCountMismatches":
+      return `${issue.hash}（記錄 ${issue.recorded}，實際 ${issue.actual}）`;
+    default:
+      return issue.key;
+  }
+}
+
+async function main() {
+  const db = openDatabase(dbFile);
+  const storage = createStorage({
+    localDir: path.join(__dirname, "..", "uploads"),
+  });
+  const checker = createIntegrityChecker({
+    imageRepo: createImageRepository(db),
+    storage,
+  });
+
+  const report = await checker.check({
+    verifyHashes: args.includes("--verify-hashes"),
+    repair: args.includes("--repair"),
+  });
+  db.close();
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const { summary } = report;
+    console.log(
+      `共 ${summary.images} 張圖片、${summary.versions} 個舊版本、${summary.blobs} 個 blob、${summary.files} 個檔案`
+    );
+    for (const [type, label] of Object.entries(LABELS)) {
+      if (report[type].length === 0) continue;
+      console.log(`\n${label}：${report[type].length}`);
+      for (const issue of report[type]) {
+        console.log(`  ${describe(type, issue)}`);
+      }
+    }
+    if (report.ok) {
+      console.log("沒有發現問題");
+    }
+
+    const { repaired } = report;
+    if (repaired) {
+      console.log(
+        `\n修復完成：修正 ${repaired.refCounts} 個引用數、刪除 ${repaired.removedBlobs} 個 blob、移除 ${repaired.removedVariants} 個響應式版本、更新 ${repaired.fileStatuses} 張圖片的檔案狀態、隔離 ${repaired.quarantined.length} 個檔案`
+      );
+      for (const { key, error } of repaired.quarantineErrors) {
+        console.log(`  無法隔離 ${key}: ${error}`);
+      }
+    }
+  }
+
+  if (!report.ok && !report.repaired) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error("檢查失敗:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// 一次性匯入舊的 images_meta.json：node scripts/import-meta.js [檔案路徑]
+const path = require("path");
+const { openDatabase } = require("../lib/db");
+const { createImageRepository } = require("../lib/images");
+const { importMetaFile } = require("../lib/importMeta");
+
+const metaFile = path.resolve(
+  process.argv[2] || path.join(__dirname, "..", "images_meta.json")
+);
+const dbFile =
+  process.env.DATABASE_FILE || path.join(__dirname, "..", "data", "images.db");
+
+try {
+  const db = openDatabase(dbFile);
+  const result = importMetaFile(createImageRepository(db), metaFile);
+  db.close();
+
+  if (!result) {
+    console.log("找不到檔案:", metaFile);
+    process.exit(1);
+  }
+  console.log(
+    `匯入完成：共 ${result.total} 筆，新增 ${result.imported} 筆，略過 ${result.skipped} 筆`
+  );
+} catch (error) {
+  console.error("匯入失敗:", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { fetchRemoteImage } = require("../lib/remoteImport");
+
+// 本機的 HTTP 伺服器當作遠端，依路徑回應不同的情境
+function startServer() {
+  const server = http.createServer((req, res) => {
+    switch (req.url) {
+      case "/image.png":
+        res.writeHead(200, { "Content-Type": "image/png" });
+        res.end(Buffer.alloc(1000));
+        return;
+      case "/chunked.png":
+        // 沒有 Content-Length，分兩段送出，總大小超過上限
+        res.writeHead(200, { "Content-Type": "image/png" });
+        res.write(Buffer.alloc(2000));
+        res.end(Buffer.alloc(2000));
+        return;
+      case "/loop":
+        res.writeHead(302, { Location: "/loop" });
+        res.end();
+        return;
+      default:
+        res.writeHead(404);
+        res.end();
+    }
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+const options = {
+  maxSize: 3000,
+  allowedTypes: ["image/png"],
+  timeout: 5000,
+  maxRedirects: 3,
+};
+
+test("遠端匯入", async (t) => {
+  const server = await startServer();
+  const base = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => server.close());
+
+  await t.test("下載圖片", async () => {
+    const image = await fetchRemoteImage(`${base}/image.png`, {
+      ...options,
+      allowPrivate: true,
+    });
+    assert.strictEqual(image.buffer.length, 1000);
+    assert.strictEqual(image.mimetype, "image/png");
+    assert.strictEqual(image.originalName, "image.png");
+  });
+
+  await t.test("超過大小上限時回傳 413，之後仍然可以下載", async () => {
+    await assert.rejects(
+      fetchRemoteImage(`${base}/chunked.png`, {
+        ...options,
+        allowPrivate: true,
+      }),
+      { status: 413 }
+    );
+    // 中斷的連線不能讓程序因為沒有處理的 error 事件而結束
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const image = await fetchRemoteImage(`${base}/image.png`, {
+      ...options,
+      allowPrivate: true,
+    });
+    assert.strictEqual(image.buffer.length, 1000);
+  });
+
+  await t.test("轉址超過次數時回傳 502", async () => {
+    await assert.rejects(
+      fetchRemoteImage(`${base}/loop`, { ...options, allowPrivate: true }),
+      { status: 502, message: "轉址超過 3 次" }
+    );
+  });
+
+  await t.test("遠端回應錯誤時回傳 502", async () => {
+    await assert.rejects(
+      fetchRemoteImage(`${base}/missing.png`, {
+        ...options,
+        allowPrivate: true,
+      }),
+      { status: 502 }
+    );
+  });
+
+  await t.test("不允許連線到內部位址", async () => {
+    await assert.rejects(fetchRemoteImage(`${base}/image.png`, options), {
+      status: 400,
+    });
+    await assert.rejects(
+      fetchRemoteImage(
+        `http://localhost:${server.address().port}/image.png`,
+        options
+      ),
+      { status: 400 }
+    );
+  });
+});